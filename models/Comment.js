@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const CommentSchema = new mongoose.Schema({
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  // Users resolved from @name mentions in the body
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  editedAt: {
+    type: Date
+  },
+  // Soft delete keeps the comment in the thread
+  deletedAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+CommentSchema.index({ taskId: 1, createdAt: 1 });
+
+// Transform _id to id when converting to JSON
+CommentSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    
+    // Hide the content of deleted comments
+    if (ret.deletedAt) {
+      ret.body = '';
+      ret.mentions = [];
+    }
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Comment', CommentSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const ProjectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Short unique code shown with the project's tasks, e.g. WEB
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z][A-Z0-9]{1,9}$/, 'Key must be 2 to 10 letters or digits, starting with a letter']
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Manager who owns the project
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Members can see every task of the project, whatever the reporting hierarchy
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  startDate: {
+    type: Date
+  },
+  endDate: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: ['planned', 'active', 'on_hold', 'completed', 'archived'],
+    default: 'active'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, { timestamps: true });
+
+ProjectSchema.index({ ownerId: 1 });
+ProjectSchema.index({ members: 1 });
+
+// Transform _id to id when converting to JSON
+ProjectSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Project', ProjectSchema);
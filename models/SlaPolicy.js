@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const SlaPolicySchema = new mongoose.Schema({
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent'],
+    required: true
+  },
+  // Optional tag narrowing the policy; tag policies win over the plain priority policy
+  tag: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  // Time allowed from creation until work starts (a "doing" status) and until done
+  startWithinMinutes: {
+    type: Number,
+    min: 1
+  },
+  completeWithinMinutes: {
+    type: Number,
+    min: 1
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+SlaPolicySchema.index({ priority: 1, tag: 1 }, { unique: true });
+
+// Transform _id to id when converting to JSON
+SlaPolicySchema.set('toJSON', {
+  transform: function(doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('SlaPolicy', SlaPolicySchema);
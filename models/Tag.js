@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const TagSchema = new mongoose.Schema({
+  // Name written onto tasks
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Lowercase form used to match task tags to the catalogue
+  normalizedName: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  color: {
+    type: String,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex code such as #1f8a70'],
+    default: '#6b7280'
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+// Transform _id to id when converting to JSON
+TagSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Tag', TagSchema);
@@ -1,4 +1,69 @@
 const mongoose = require('mongoose');
+const { rankBetween } = require('../services/rank');
+
+const ChecklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true
+  },
+  completed: {
+    type: Boolean,
+    default: false
+  },
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  completedAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+ChecklistItemSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    return ret;
+  }
+});
+
+const AttachmentSchema = new mongoose.Schema({
+  originalName: {
+    type: String,
+    required: true
+  },
+  // Name of the stored file on disk
+  filename: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AttachmentSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.filename;
+    return ret;
+  }
+});
 
 const TaskSchema = new mongoose.Schema({
   title: {
@@ -22,11 +87,17 @@ const TaskSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  // Key of a WorkflowStatus
   status: {
     type: String,
-    enum: ['completed', 'in-progress', 'not-started'],
     default: 'not-started'
   },
+  // Category of the current status, kept in sync so queries don't need the workflow
+  statusCategory: {
+    type: String,
+    enum: ['todo', 'doing', 'done'],
+    default: 'todo'
+  },
   priority: {
     type: String,
     enum: ['low', 'medium', 'high', 'urgent'],
@@ -46,19 +117,262 @@ const TaskSchema = new mongoose.Schema({
   completedDate: {
     type: Date
   },
+  // Estimated effort in minutes
+  estimatedMinutes: {
+    type: Number,
+    min: 0
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
+  },
+  // Project the task belongs to, if any
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  // Parent task when this task is a subtask
+  parentTaskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  // Users notified about changes; they can view the task even outside their team
+  watchers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Tasks that must be completed before this one can start
+  blockedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  // Recurring series this task is an occurrence of
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaskSeries',
+    default: null
+  },
+  occurrenceIndex: {
+    type: Number
+  },
+  nextOccurrenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  checklist: [ChecklistItemSchema],
+  attachments: [AttachmentSchema],
+  // Percentage computed from subtasks and checklist items
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  // SLA deadlines set at creation from the matching SlaPolicy, and when work started
+  // and finished; breach flags are derived from these when the task is serialised
+  sla: {
+    policyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SlaPolicy',
+      default: null
+    },
+    startBy: {
+      type: Date,
+      default: null
+    },
+    completeBy: {
+      type: Date,
+      default: null
+    },
+    startedAt: {
+      type: Date,
+      default: null
+    },
+    completedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // The assignee's response to the assignment (see services/taskAcceptance.js); tasks
+  // assigned before responses were tracked have no state
+  acceptance: {
+    state: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined'],
+      default: null
+    },
+    requestedAt: {
+      type: Date,
+      default: null
+    },
+    acceptedAt: {
+      type: Date,
+      default: null
+    },
+    declinedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    declinedAt: {
+      type: Date,
+      default: null
+    },
+    declineReason: {
+      type: String,
+      default: null
+    }
+  },
+  // Whether the assignee's completion must be approved; null follows the team setting
+  // (see services/taskReview.js)
+  requiresReview: {
+    type: Boolean,
+    default: null
+  },
+  // Latest review: the done status the assignee asked for, the status the task goes
+  // back to when sent back, and who asked for and decided the review
+  review: {
+    state: {
+      type: String,
+      enum: ['pending', 'approved', 'changes_requested', 'withdrawn'],
+      default: null
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    requestedAt: {
+      type: Date,
+      default: null
+    },
+    completeStatus: {
+      type: String,
+      default: null
+    },
+    returnStatus: {
+      type: String,
+      default: null
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    },
+    reason: {
+      type: String,
+      default: null
+    }
+  },
+  // Maintained by the escalation job; escalationLevel is how far up the chain it went
+  // (0 none, 1 assignee notified, 2 supervisor, 3 manager) so no level is notified twice
+  isOverdue: {
+    type: Boolean,
+    default: false
+  },
+  overdueSince: {
+    type: Date,
+    default: null
+  },
+  escalationLevel: {
+    type: Number,
+    min: 0,
+    max: 3,
+    default: 0
+  },
+  // Incremented on every edit so clients can detect concurrent changes (sent as the ETag)
+  version: {
+    type: Number,
+    default: 0
+  },
+  // Position within its status column on the board (see services/rank.js)
+  rank: {
+    type: String,
+    default: null
+  },
+  // Set when the task is moved to the trash; purged after the retention period
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   }
 }, { timestamps: true });
 
+TaskSchema.index({ parentTaskId: 1 });
+TaskSchema.index({ projectId: 1 });
+TaskSchema.index({ blockedBy: 1 });
+TaskSchema.index({ watchers: 1 });
+TaskSchema.index({ seriesId: 1, occurrenceIndex: 1 });
+TaskSchema.index({ deletedAt: 1 });
+TaskSchema.index({ statusCategory: 1, targetDate: 1 });
+TaskSchema.index({ status: 1, rank: 1 });
+TaskSchema.index({ 'acceptance.state': 1, assigneeId: 1 });
+
+// Full-text search index used by GET /api/tasks/search
+TaskSchema.index(
+  { title: 'text', description: 'text', remarks: 'text', tags: 'text' },
+  { name: 'TaskTextIndex', weights: { title: 10, tags: 5, description: 2, remarks: 1 } }
+);
+
+// Trashed tasks are left out of every query unless it sets the includeTrashed option
+// or filters on deletedAt itself
+TaskSchema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct'], function(next) {
+  if (!this.getOptions().includeTrashed && !Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+    this.where({ deletedAt: null });
+  }
+  next();
+});
+
+// Aggregations skip the query middleware above, so aggregate pipelines over tasks go
+// through this static, which leaves out trashed tasks the same way
+TaskSchema.statics.aggregateLive = function(pipeline) {
+  return this.aggregate([{ $match: { deletedAt: null } }, ...pipeline]);
+};
+
+// New tasks go to the bottom of their status column unless given a rank
+TaskSchema.pre('save', async function() {
+  if (this.isNew && !this.rank) {
+    const lastTask = await this.constructor.findOne({ status: this.status, rank: { $ne: null } })
+      .sort({ rank: -1 })
+      .select('rank');
+    this.rank = rankBetween(lastTask ? lastTask.rank : null, null);
+  }
+});
+
+// Minutes between two dates, or null while the later one hasn't happened
+const minutesBetween = (from, to) => {
+  if (!from || !to) return null;
+  return Math.round((new Date(to).getTime() - new Date(from).getTime()) / 60000);
+};
+
 // Transform _id to id when converting to JSON
 TaskSchema.set('toJSON', {
   transform: function(doc, ret) {
     ret.id = ret._id;
     delete ret._id;
     delete ret.__v;
+    
+    // Deadlines not met yet are compared against the current time
+    if (ret.sla) {
+      const now = new Date();
+      ret.sla.timeToStartMinutes = minutesBetween(ret.createdAt, ret.sla.startedAt);
+      ret.sla.timeToCompleteMinutes = minutesBetween(ret.createdAt, ret.sla.completedAt);
+      ret.sla.startBreached = !!ret.sla.startBy && (ret.sla.startedAt || now) > ret.sla.startBy;
+      ret.sla.completeBreached = !!ret.sla.completeBy && (ret.sla.completedAt || now) > ret.sla.completeBy;
+    }
+    
     return ret;
   }
 });
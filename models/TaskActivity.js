@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const TaskActivitySchema = new mongoose.Schema({
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  // Empty for changes made by background jobs
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  // Field-level before/after values
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    from: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    to: {
+      type: mongoose.Schema.Types.Mixed
+    }
+  }],
+  // Extra context for actions that are not plain field changes
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+TaskActivitySchema.index({ taskId: 1, createdAt: -1 });
+
+// Transform _id to id when converting to JSON
+TaskActivitySchema.set('toJSON', {
+  transform: function(doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('TaskActivity', TaskActivitySchema);
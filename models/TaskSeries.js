@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// A recurring task series: the rule plus the template each occurrence is copied from
+const TaskSeriesSchema = new mongoose.Schema({
+  rule: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly', 'custom'],
+      required: true
+    },
+    // Every N days/weeks/months
+    interval: {
+      type: Number,
+      min: 1,
+      default: 1
+    },
+    // Unit of the interval for custom rules
+    unit: {
+      type: String,
+      enum: ['days', 'weeks', 'months']
+    },
+    endDate: {
+      type: Date
+    },
+    // Maximum number of occurrences
+    count: {
+      type: Number,
+      min: 1
+    }
+  },
+  template: {
+    title: {
+      type: String,
+      required: true
+    },
+    description: {
+      type: String,
+      default: ''
+    },
+    assigneeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    priority: {
+      type: String,
+      enum: ['low', 'medium', 'high', 'urgent'],
+      default: 'medium'
+    },
+    tags: [{
+      type: String
+    }]
+  },
+  occurrenceCount: {
+    type: Number,
+    default: 1
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, { timestamps: true });
+
+// Transform _id to id when converting to JSON
+TaskSeriesSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('TaskSeries', TaskSeriesSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// Due date relative to the day a task is created from the template
+const DueOffsetSchema = new mongoose.Schema({
+  value: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  unit: {
+    type: String,
+    enum: ['days', 'working_days'],
+    default: 'working_days'
+  }
+}, { _id: false });
+
+const TemplateSubtaskSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Falls back to the template's own offset when not set
+  dueOffset: {
+    type: DueOffsetSchema,
+    default: undefined
+  }
+}, { _id: false });
+
+const TaskTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent'],
+    default: 'medium'
+  },
+  tags: [{
+    type: String
+  }],
+  estimatedMinutes: {
+    type: Number,
+    min: 0
+  },
+  dueOffset: {
+    type: DueOffsetSchema,
+    default: () => ({})
+  },
+  subtasks: [TemplateSubtaskSchema],
+  // Org-wide templates are visible to everyone, team templates only to the manager's team
+  visibility: {
+    type: String,
+    enum: ['org', 'team'],
+    default: 'team'
+  },
+  teamManagerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, { timestamps: true });
+
+TaskTemplateSchema.index({ visibility: 1, teamManagerId: 1 });
+
+// Transform _id to id when converting to JSON
+TaskTemplateSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('TaskTemplate', TaskTemplateSchema);
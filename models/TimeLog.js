@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const TimeLogSchema = new mongoose.Schema({
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Timer entries are created on start and completed on stop
+  source: {
+    type: String,
+    enum: ['timer', 'manual'],
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  // Empty while a timer is running
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  minutes: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  note: {
+    type: String,
+    default: ''
+  }
+}, { timestamps: true });
+
+TimeLogSchema.index({ taskId: 1, startedAt: -1 });
+TimeLogSchema.index({ userId: 1, endedAt: 1 });
+
+// Transform _id to id when converting to JSON
+TimeLogSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('TimeLog', TimeLogSchema);
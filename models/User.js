@@ -40,12 +40,23 @@ const UserSchema = new mongoose.Schema(
       ref: 'User',
       default: null
     },
+    // For supervisors and managers: tasks of their team need review before they
+    // count as completed, unless a task says otherwise
+    requireTaskReview: {
+      type: Boolean,
+      default: false
+    },
     resetPasswordToken: {
       type: String
     },
     resetPasswordExpires: {
       type: Date
     },
+    // Secret token of the user's calendar feed URLs; not returned unless selected
+    calendarToken: {
+      type: String,
+      select: false
+    },
     // Additional fields for tracking
     approvedBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -66,10 +77,13 @@ UserSchema.set('toJSON', {
     ret.id = ret._id;
     delete ret._id;
     delete ret.__v;
+    delete ret.calendarToken;
     return ret;
   }
 });
 
+UserSchema.index({ calendarToken: 1 }, { unique: true, sparse: true });
+
 // Hash password before saving
 UserSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const WorkflowStatusSchema = new mongoose.Schema({
+  // Value stored in Task.status
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9]+(-[a-z0-9]+)*$/
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // Category drives completion handling: only "done" statuses set completedDate
+  category: {
+    type: String,
+    enum: ['todo', 'doing', 'done'],
+    required: true
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  // Status new tasks start in
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  color: {
+    type: String
+  },
+  // Allowed transitions out of this status; when empty, any transition is allowed
+  transitions: [{
+    _id: false,
+    to: {
+      type: String,
+      required: true
+    },
+    // Roles allowed to make the transition; when empty, every role may
+    roles: [{
+      type: String,
+      enum: ['super_admin', 'manager', 'supervisor', 'member']
+    }]
+  }],
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+// Transform _id to id when converting to JSON
+WorkflowStatusSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('WorkflowStatus', WorkflowStatusSchema);
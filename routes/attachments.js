@@ -0,0 +1,161 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const fs = require('fs');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const mongoose = require('mongoose');
+const { canViewTask, canWorkOnTask, getEditPermission } = require('../services/taskAccess');
+const {
+  uploadAttachments,
+  getAttachmentPath,
+  removeAttachmentFiles
+} = require('../services/attachmentStorage');
+
+// Middleware to load the task and check the current user can view it
+const loadVisibleTask = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid task ID format' });
+    }
+    
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    // Same visibility rules as GET /api/tasks/:id
+    if (!(await canViewTask(currentUser, task))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    
+    req.currentUser = currentUser;
+    req.task = task;
+    next();
+  } catch (error) {
+    console.error('Error loading task for attachments:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// Middleware to check the current user can work on the loaded task; watchers and project
+// members can only view it
+const requireTaskWorker = async (req, res, next) => {
+  try {
+    if (!(await canWorkOnTask(req.currentUser, req.task))) {
+      return res.status(403).json({ message: 'You cannot add attachments to this task' });
+    }
+    next();
+  } catch (error) {
+    console.error('Error checking task access for attachments:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @route   GET api/tasks/:id/attachments
+// @desc    List attachments of a task
+// @access  Private
+router.get('/', auth, loadVisibleTask, async (req, res) => {
+  res.json(req.task.attachments);
+});
+
+// @route   POST api/tasks/:id/attachments
+// @desc    Upload one or more attachments to a task (multipart field "files")
+// @access  Private
+router.post('/', auth, loadVisibleTask, requireTaskWorker, uploadAttachments, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+    
+    const task = req.task;
+    const newAttachments = req.files.map(file => ({
+      originalName: file.originalname,
+      filename: file.filename,
+      mimeType: file.mimetype,
+      size: file.size,
+      uploadedBy: req.currentUser._id,
+      uploadedAt: new Date()
+    }));
+    
+    task.attachments.push(...newAttachments);
+    task.lastUpdated = new Date();
+    task.$inc('version', 1);
+    await task.save();
+    
+    console.log('Attachments uploaded:', task._id, req.files.map(file => file.originalname));
+    
+    res.status(201).json(task.attachments.slice(-newAttachments.length));
+  } catch (error) {
+    console.error('Attachment upload error:', error);
+    
+    // Clean up uploaded files if there was an error
+    removeAttachmentFiles(req.files || []);
+    
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET api/tasks/:id/attachments/:attachmentId
+// @desc    Download an attachment
+// @access  Private
+router.get('/:attachmentId', auth, loadVisibleTask, async (req, res) => {
+  const attachment = req.task.attachments.id(req.params.attachmentId);
+  if (!attachment) {
+    return res.status(404).json({ message: 'Attachment not found' });
+  }
+  
+  const filePath = getAttachmentPath(attachment.filename);
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ message: 'Attachment file not found' });
+  }
+  
+  res.download(filePath, attachment.originalName, (error) => {
+    if (error && !res.headersSent) {
+      console.error('Attachment download error:', error);
+      res.status(500).json({ message: 'Server Error' });
+    }
+  });
+});
+
+// @route   DELETE api/tasks/:id/attachments/:attachmentId
+// @desc    Delete an attachment
+// @access  Private (uploader or users who can edit the task)
+router.delete('/:attachmentId', auth, loadVisibleTask, async (req, res) => {
+  try {
+    const task = req.task;
+    const attachment = task.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+    
+    let canDelete = attachment.uploadedBy.toString() === req.currentUser._id.toString();
+    if (!canDelete) {
+      const { canEdit } = await getEditPermission(req.currentUser, task);
+      canDelete = canEdit;
+    }
+    
+    if (!canDelete) {
+      return res.status(403).json({ message: 'You cannot delete this attachment' });
+    }
+    
+    const removed = { filename: attachment.filename };
+    attachment.deleteOne();
+    task.lastUpdated = new Date();
+    task.$inc('version', 1);
+    await task.save();
+    removeAttachmentFiles([removed]);
+    
+    res.json({ success: true, message: 'Attachment deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting attachment:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,148 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { getTeamMemberIds } = require('../services/taskAccess');
+const {
+  generateCalendarToken,
+  isCalendarToken,
+  getCalendarFeed
+} = require('../services/calendarFeed');
+
+// Only supervisors and managers have a team feed
+const TEAM_FEED_ROLES = ['supervisor', 'manager'];
+
+// Helper function to build the feed URLs of a token
+const getFeedUrls = (req, user, token) => {
+  const baseUrl = `${req.protocol}://${req.get('host')}/api/calendar/${token}`;
+  return {
+    personalUrl: `${baseUrl}/personal.ics`,
+    teamUrl: TEAM_FEED_ROLES.includes(user.role) ? `${baseUrl}/team.ics` : null
+  };
+};
+
+// Helper function to find the active user owning a feed token
+const findFeedOwner = async (token) => {
+  if (!isCalendarToken(token)) {
+    return null;
+  }
+  
+  const user = await User.findOne({ calendarToken: token });
+  if (!user || user.status !== 'active') {
+    return null;
+  }
+  
+  return user;
+};
+
+// Helper function to send a calendar; ?type=todo emits to-dos instead of events
+const sendCalendar = async (req, res, filter, name) => {
+  const calendar = await getCalendarFeed(filter, {
+    name,
+    component: req.query.type === 'todo' ? 'todo' : 'event'
+  });
+  
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': 'inline; filename="tasks.ics"',
+    'Cache-Control': 'private, max-age=300'
+  });
+  res.send(calendar);
+};
+
+// @route   GET api/calendar/feeds
+// @desc    Get the current user's calendar feed URLs, creating the feed token on first use
+// @access  Private
+router.get('/feeds', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('+calendarToken');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (!user.calendarToken) {
+      // Only set the token if another request hasn't just done so
+      await User.updateOne(
+        { _id: user._id, calendarToken: null },
+        { $set: { calendarToken: generateCalendarToken() } }
+      );
+      const updatedUser = await User.findById(user._id).select('+calendarToken');
+      user.calendarToken = updatedUser.calendarToken;
+    }
+    
+    res.json(getFeedUrls(req, user, user.calendarToken));
+  } catch (error) {
+    console.error('Error fetching calendar feeds:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST api/calendar/feeds/rotate
+// @desc    Replace the current user's feed token; the old feed URLs stop working
+// @access  Private
+router.post('/feeds/rotate', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const token = generateCalendarToken();
+    await User.updateOne({ _id: user._id }, { $set: { calendarToken: token } });
+    
+    console.log('Calendar feed token rotated for:', user.email);
+    res.json(getFeedUrls(req, user, token));
+  } catch (error) {
+    console.error('Error rotating calendar feed token:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET api/calendar/:token/personal.ics
+// @desc    iCalendar feed of the due dates of tasks the user is assigned, created or watches
+// @access  Public (secret feed token)
+router.get('/:token/personal.ics', async (req, res) => {
+  try {
+    const user = await findFeedOwner(req.params.token);
+    if (!user) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+    
+    const filter = {
+      $or: [
+        { assigneeId: user._id },
+        { createdBy: user._id },
+        { watchers: user._id }
+      ]
+    };
+    
+    await sendCalendar(req, res, filter, `TaskBerry - ${user.name}`);
+  } catch (error) {
+    console.error('Error building personal calendar feed:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET api/calendar/:token/team.ics
+// @desc    iCalendar feed of the due dates of the team's tasks (same team as GET api/tasks/team/:userId)
+// @access  Public (secret feed token of a supervisor or manager)
+router.get('/:token/team.ics', async (req, res) => {
+  try {
+    const user = await findFeedOwner(req.params.token);
+    if (!user) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+    
+    if (!TEAM_FEED_ROLES.includes(user.role)) {
+      return res.status(403).json({ message: 'Only supervisors and managers have a team feed' });
+    }
+    
+    const teamMemberIds = await getTeamMemberIds(user);
+    await sendCalendar(req, res, { assigneeId: { $in: teamMemberIds } }, `TaskBerry - ${user.name}'s team`);
+  } catch (error) {
+    console.error('Error building team calendar feed:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,269 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const Comment = require('../models/Comment');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const mongoose = require('mongoose');
+const emailService = require('../services/emailService');
+const { canViewTask, canWorkOnTask, getEditPermission } = require('../services/taskAccess');
+const { notifyWatchers } = require('../services/watchers');
+
+// Comments can only be edited by their author within this many minutes
+const COMMENT_EDIT_WINDOW_MINUTES = parseInt(process.env.COMMENT_EDIT_WINDOW_MINUTES, 10) || 15;
+
+// Helper function to escape a string for use in a regular expression
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper function to resolve @name mentions to active users who can see the task
+const resolveMentions = async (body, task) => {
+  if (!body.includes('@')) return [];
+  
+  const activeUsers = await User.find({ status: 'active' }).select('-password');
+  
+  // A user can be mentioned by full name or by the local part of their email
+  const mentionedUsers = activeUsers.filter(user => {
+    const handles = [user.name, user.email.split('@')[0]];
+    return handles.some(handle =>
+      new RegExp(`(^|\\s)@${escapeRegExp(handle)}(?!\\w)`, 'i').test(body)
+    );
+  });
+  
+  const visibleUsers = [];
+  for (const user of mentionedUsers) {
+    if (await canViewTask(user, task)) {
+      visibleUsers.push(user);
+    }
+  }
+  
+  return visibleUsers;
+};
+
+// Helper function to email newly mentioned users
+const notifyMentionedUsers = async (users, author, task, body) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'https://taskberry-frontend.vercel.app';
+  
+  for (const user of users) {
+    // Don't notify people about their own comments
+    if (user._id.toString() === author._id.toString()) continue;
+    
+    try {
+      await emailService.sendMentionEmail({
+        to: user.email,
+        name: user.name,
+        mentionedBy: author.name,
+        taskTitle: task.title,
+        commentBody: body,
+        taskUrl: `${frontendUrl}/tasks/${task._id}`
+      });
+    } catch (emailError) {
+      console.error('Failed to send mention email:', emailError);
+      // Don't fail the comment if email fails, just log the error
+    }
+  }
+};
+
+// @route   GET api/tasks/:id/comments
+// @desc    Get the comment thread of a task
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid task ID format' });
+    }
+    
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    if (!(await canViewTask(currentUser, task))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    
+    const comments = await Comment.find({ taskId: task._id })
+      .populate('authorId', 'name email avatarUrl')
+      .populate('mentions', 'name email')
+      .sort({ createdAt: 1 });
+    
+    res.json(comments);
+  } catch (error) {
+    console.error('Error fetching comments:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST api/tasks/:id/comments
+// @desc    Add a comment to a task
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  const { body } = req.body;
+  
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid task ID format' });
+    }
+    
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    // Watchers and project members can read the comments but not add to them
+    if (!(await canWorkOnTask(currentUser, task))) {
+      return res.status(403).json({ message: 'You cannot comment on this task' });
+    }
+    
+    if (typeof body !== 'string' || body.trim().length === 0) {
+      return res.status(400).json({ message: 'Comment body is required' });
+    }
+    
+    const mentionedUsers = await resolveMentions(body, task);
+    
+    const comment = await new Comment({
+      taskId: task._id,
+      authorId: currentUser._id,
+      body: body.trim(),
+      mentions: mentionedUsers.map(user => user._id)
+    }).save();
+    
+    await notifyMentionedUsers(mentionedUsers, currentUser, task, comment.body);
+    
+    // Mentioned watchers already got an email about this comment
+    await notifyWatchers(
+      task,
+      currentUser,
+      { summary: 'New comment', details: comment.body },
+      mentionedUsers.map(user => user._id)
+    );
+    
+    const populatedComment = await Comment.findById(comment._id)
+      .populate('authorId', 'name email avatarUrl')
+      .populate('mentions', 'name email');
+    
+    res.status(201).json(populatedComment);
+  } catch (error) {
+    console.error('Error adding comment:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   PUT api/tasks/:id/comments/:commentId
+// @desc    Edit a comment within the edit window
+// @access  Private (comment author only)
+router.put('/:commentId', auth, async (req, res) => {
+  const { body } = req.body;
+  
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !mongoose.Types.ObjectId.isValid(req.params.commentId)) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+    
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    const comment = await Comment.findOne({ _id: req.params.commentId, taskId: task._id });
+    if (!comment || comment.deletedAt) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    if (comment.authorId.toString() !== currentUser._id.toString()) {
+      return res.status(403).json({ message: 'You can only edit your own comments' });
+    }
+    
+    const editDeadline = comment.createdAt.getTime() + COMMENT_EDIT_WINDOW_MINUTES * 60 * 1000;
+    if (Date.now() > editDeadline) {
+      return res.status(403).json({
+        message: `Comments can only be edited within ${COMMENT_EDIT_WINDOW_MINUTES} minutes of posting`
+      });
+    }
+    
+    if (typeof body !== 'string' || body.trim().length === 0) {
+      return res.status(400).json({ message: 'Comment body is required' });
+    }
+    
+    const mentionedUsers = await resolveMentions(body, task);
+    const previousMentions = comment.mentions.map(id => id.toString());
+    const newlyMentioned = mentionedUsers.filter(user => !previousMentions.includes(user._id.toString()));
+    
+    comment.body = body.trim();
+    comment.mentions = mentionedUsers.map(user => user._id);
+    comment.editedAt = new Date();
+    await comment.save();
+    
+    await notifyMentionedUsers(newlyMentioned, currentUser, task, comment.body);
+    
+    const populatedComment = await Comment.findById(comment._id)
+      .populate('authorId', 'name email avatarUrl')
+      .populate('mentions', 'name email');
+    
+    res.json(populatedComment);
+  } catch (error) {
+    console.error('Error editing comment:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   DELETE api/tasks/:id/comments/:commentId
+// @desc    Soft delete a comment
+// @access  Private (comment author or users who can edit the task)
+router.delete('/:commentId', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !mongoose.Types.ObjectId.isValid(req.params.commentId)) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+    
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    const comment = await Comment.findOne({ _id: req.params.commentId, taskId: task._id });
+    if (!comment || comment.deletedAt) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    let canDelete = comment.authorId.toString() === currentUser._id.toString();
+    if (!canDelete) {
+      const { canEdit } = await getEditPermission(currentUser, task);
+      canDelete = canEdit;
+    }
+    
+    if (!canDelete) {
+      return res.status(403).json({ message: 'You cannot delete this comment' });
+    }
+    
+    comment.deletedAt = new Date();
+    comment.deletedBy = currentUser._id;
+    await comment.save();
+    
+    res.json({ success: true, message: 'Comment deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,266 @@
+const express = require('express');
+const router = express.Router();
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const mongoose = require('mongoose');
+const { parseTaskListQuery, findTasks, sendTaskList } = require('../services/taskQuery');
+const {
+  PROJECT_STATUSES,
+  getProjectScopeFilter,
+  canViewProject,
+  canManageProject,
+  buildProjectFields,
+  getProjectProgress
+} = require('../services/projects');
+
+// Helper function to check project dates are in order
+const checkProjectDates = (startDate, endDate) => {
+  if (startDate && endDate && endDate < startDate) {
+    return 'End date cannot be before start date';
+  }
+  return null;
+};
+
+// Middleware to load the project and check the current user can see it
+const loadVisibleProject = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid project ID format' });
+    }
+    
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const project = await Project.findById(req.params.id);
+    if (!project || !canViewProject(currentUser, project)) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+    
+    req.currentUser = currentUser;
+    req.project = project;
+    next();
+  } catch (error) {
+    console.error('Error loading project:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @route   GET api/projects
+// @desc    Get the projects the current user owns or belongs to (all for super admins);
+//          accepts an optional status filter
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const filter = { ...getProjectScopeFilter(currentUser) };
+    if (req.query.status) {
+      if (!PROJECT_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ message: 'Invalid project status. Must be one of: ' + PROJECT_STATUSES.join(', ') });
+      }
+      filter.status = req.query.status;
+    }
+    
+    const projects = await Project.find(filter)
+      .populate('ownerId', 'name email')
+      .sort({ name: 1 });
+    
+    res.json(projects);
+  } catch (error) {
+    console.error('Error fetching projects:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/projects/:id
+// @desc    Get a project with its owner and members
+// @access  Private (project members and Super Admins)
+router.get('/:id', auth, loadVisibleProject, async (req, res) => {
+  try {
+    await req.project.populate([
+      { path: 'ownerId', select: 'name email' },
+      { path: 'members', select: 'name email role' },
+      { path: 'createdBy', select: 'name email' }
+    ]);
+    
+    res.json(req.project);
+  } catch (error) {
+    console.error('Error fetching project:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/projects
+// @desc    Create a project; managers own the projects they create, super admins pick a manager as owner
+// @access  Private (Managers and Super Admins)
+router.post('/', auth, async (req, res) => {
+  try {
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (!['manager', 'super_admin'].includes(currentUser.role)) {
+      return res.status(403).json({ message: 'Only managers and super admins can create projects' });
+    }
+    
+    if (!req.body.name || !req.body.key) {
+      return res.status(400).json({ message: 'Name and key are required' });
+    }
+    
+    if (currentUser.role === 'super_admin' && !req.body.ownerId) {
+      return res.status(400).json({ message: 'Owner is required' });
+    }
+    
+    const { fields, error } = await buildProjectFields(req.body, currentUser);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    const dateError = checkProjectDates(fields.startDate, fields.endDate);
+    if (dateError) {
+      return res.status(400).json({ message: dateError });
+    }
+    
+    const existingProject = await Project.findOne({ key: fields.key });
+    if (existingProject) {
+      return res.status(400).json({ message: 'A project with this key already exists' });
+    }
+    
+    const project = await new Project({
+      ...fields,
+      ownerId: fields.ownerId || currentUser._id,
+      createdBy: currentUser._id
+    }).save();
+    
+    console.log('Project created:', project.key, 'by', currentUser.email);
+    res.status(201).json(project);
+  } catch (error) {
+    console.error('Error creating project:', error);
+    
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: errors
+      });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT api/projects/:id
+// @desc    Update a project, including its members (replaced by the given list)
+// @access  Private (project owner or Super Admin)
+router.put('/:id', auth, loadVisibleProject, async (req, res) => {
+  try {
+    const { currentUser, project } = req;
+    
+    if (!canManageProject(currentUser, project)) {
+      return res.status(403).json({ message: 'You cannot edit this project' });
+    }
+    
+    const { fields, error } = await buildProjectFields(req.body, currentUser);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    const dateError = checkProjectDates(
+      fields.startDate !== undefined ? fields.startDate : project.startDate,
+      fields.endDate !== undefined ? fields.endDate : project.endDate
+    );
+    if (dateError) {
+      return res.status(400).json({ message: dateError });
+    }
+    
+    if (fields.key && fields.key !== project.key) {
+      const existingProject = await Project.findOne({ key: fields.key });
+      if (existingProject) {
+        return res.status(400).json({ message: 'A project with this key already exists' });
+      }
+    }
+    
+    project.set(fields);
+    await project.save();
+    
+    res.json(project);
+  } catch (error) {
+    console.error('Error updating project:', error);
+    
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: errors
+      });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE api/projects/:id
+// @desc    Delete a project; its tasks are kept without a project
+// @access  Private (project owner or Super Admin)
+router.delete('/:id', auth, loadVisibleProject, async (req, res) => {
+  try {
+    const { currentUser, project } = req;
+    
+    if (!canManageProject(currentUser, project)) {
+      return res.status(403).json({ message: 'You cannot delete this project' });
+    }
+    
+    // Includes trashed tasks, which updateMany doesn't filter out
+    await Task.updateMany({ projectId: project._id }, { $set: { projectId: null }, $inc: { version: 1 } });
+    await Project.findByIdAndDelete(project._id);
+    
+    console.log('Project deleted:', project.key, 'by', currentUser.email);
+    res.json({ success: true, message: 'Project deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting project:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/projects/:id/tasks
+// @desc    Get the tasks of a project; accepts the same filter, sort and pagination
+//          parameters as GET api/tasks
+// @access  Private (project members and Super Admins)
+router.get('/:id/tasks', auth, loadVisibleProject, async (req, res) => {
+  try {
+    const { listQuery, error } = parseTaskListQuery(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    // Membership grants visibility of every task in the project
+    const result = await findTasks({ projectId: req.project._id }, listQuery);
+    sendTaskList(res, result);
+  } catch (error) {
+    console.error('Error fetching project tasks:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET api/projects/:id/progress
+// @desc    Get project progress: task counts by status and category, overdue tasks and completion
+// @access  Private (project members and Super Admins)
+router.get('/:id/progress', auth, loadVisibleProject, async (req, res) => {
+  try {
+    const progress = await getProjectProgress(req.project._id);
+    res.json({ projectId: req.project._id, ...progress });
+  } catch (error) {
+    console.error('Error fetching project progress:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,192 @@
+const express = require('express');
+const router = express.Router();
+const SlaPolicy = require('../models/SlaPolicy');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const mongoose = require('mongoose');
+const { requireSuperAdmin } = require('../middleware/roles');
+const { getTaskScopeFilter } = require('../services/taskAccess');
+const { getSlaSummary } = require('../services/sla');
+
+const VALID_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Helper function to validate an SLA time limit; null removes it
+const parseMinutes = (value, name) => {
+  if (value === null) return { minutes: null };
+  const minutes = Number(value);
+  if (!Number.isFinite(minutes) || minutes < 1) {
+    return { error: `${name} must be a positive number of minutes` };
+  }
+  return { minutes: Math.round(minutes) };
+};
+
+// @route   GET api/sla/policies
+// @desc    Get the SLA policies
+// @access  Private
+router.get('/policies', auth, async (req, res) => {
+  try {
+    const policies = await SlaPolicy.find().sort({ priority: 1, tag: 1 });
+    res.json(policies);
+  } catch (error) {
+    console.error('Error fetching SLA policies:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/sla/policies
+// @desc    Add an SLA policy for a priority, optionally narrowed to a tag
+// @access  Private (Super Admin only)
+router.post('/policies', auth, requireSuperAdmin, async (req, res) => {
+  const { priority, tag, startWithinMinutes, completeWithinMinutes } = req.body;
+  
+  try {
+    if (!VALID_PRIORITIES.includes(priority)) {
+      return res.status(400).json({
+        message: 'Invalid priority. Must be one of: ' + VALID_PRIORITIES.join(', ')
+      });
+    }
+    
+    if (startWithinMinutes === undefined && completeWithinMinutes === undefined) {
+      return res.status(400).json({ message: 'A start or completion time limit is required' });
+    }
+    
+    const policy = new SlaPolicy({ priority, tag: tag ? String(tag) : null });
+    for (const [field, value] of [['startWithinMinutes', startWithinMinutes], ['completeWithinMinutes', completeWithinMinutes]]) {
+      if (value !== undefined) {
+        const { minutes, error } = parseMinutes(value, field);
+        if (error) {
+          return res.status(400).json({ message: error });
+        }
+        policy[field] = minutes;
+      }
+    }
+    
+    const existingPolicy = await SlaPolicy.findOne({ priority, tag: policy.tag });
+    if (existingPolicy) {
+      return res.status(400).json({ message: 'A policy for this priority and tag already exists' });
+    }
+    
+    await policy.save();
+    
+    console.log('SLA policy created:', policy.priority, policy.tag, 'by', req.currentUser.email);
+    res.status(201).json(policy);
+  } catch (error) {
+    console.error('Error creating SLA policy:', error);
+    
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: errors
+      });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT api/sla/policies/:id
+// @desc    Update an SLA policy; applies to tasks created afterwards
+// @access  Private (Super Admin only)
+router.put('/policies/:id', auth, requireSuperAdmin, async (req, res) => {
+  const { startWithinMinutes, completeWithinMinutes, active } = req.body;
+  
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid policy ID format' });
+    }
+    
+    const policy = await SlaPolicy.findById(req.params.id);
+    if (!policy) {
+      return res.status(404).json({ message: 'SLA policy not found' });
+    }
+    
+    for (const [field, value] of [['startWithinMinutes', startWithinMinutes], ['completeWithinMinutes', completeWithinMinutes]]) {
+      if (value !== undefined) {
+        const { minutes, error } = parseMinutes(value, field);
+        if (error) {
+          return res.status(400).json({ message: error });
+        }
+        policy[field] = minutes === null ? undefined : minutes;
+      }
+    }
+    
+    if (active !== undefined) policy.active = !!active;
+    
+    await policy.save();
+    
+    res.json(policy);
+  } catch (error) {
+    console.error('Error updating SLA policy:', error);
+    
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: errors
+      });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE api/sla/policies/:id
+// @desc    Delete an SLA policy; existing task deadlines are kept
+// @access  Private (Super Admin only)
+router.delete('/policies/:id', auth, requireSuperAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid policy ID format' });
+    }
+    
+    const policy = await SlaPolicy.findByIdAndDelete(req.params.id);
+    if (!policy) {
+      return res.status(404).json({ message: 'SLA policy not found' });
+    }
+    
+    res.json({ success: true, message: 'SLA policy deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting SLA policy:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/sla/summary
+// @desc    Get SLA compliance per priority for tasks visible to the current user;
+//          accepts optional from and to dates on task creation
+// @access  Private
+router.get('/summary', auth, async (req, res) => {
+  try {
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const scopeFilter = await getTaskScopeFilter(currentUser);
+    if (!scopeFilter) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    
+    const range = {};
+    for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+      if (req.query[param]) {
+        const date = new Date(req.query[param]);
+        if (isNaN(date.getTime())) {
+          return res.status(400).json({ message: `Invalid ${param} date format` });
+        }
+        range[operator] = date;
+      }
+    }
+    
+    const filter = Object.keys(range).length > 0 ? { $and: [scopeFilter, { createdAt: range }] } : scopeFilter;
+    const summary = await getSlaSummary(filter);
+    
+    res.json(summary);
+  } catch (error) {
+    console.error('Error building SLA summary:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
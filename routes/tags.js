@@ -0,0 +1,289 @@
+const express = require('express');
+const router = express.Router();
+const Tag = require('../models/Tag');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const mongoose = require('mongoose');
+const { requireSuperAdmin } = require('../middleware/roles');
+const {
+  cleanTagName,
+  normalizeTagName,
+  rewriteTags,
+  getTagUsage
+} = require('../services/tags');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Middleware to check the current user can add to or edit the catalogue
+const requireTagEditor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (!['manager', 'super_admin'].includes(user.role)) {
+      return res.status(403).json({ message: 'Only managers and super admins can manage tags' });
+    }
+    
+    req.currentUser = user;
+    next();
+  } catch (error) {
+    console.error('Error checking tag permissions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Helper function to send a validation error from saving a tag
+const handleTagError = (res, error, context) => {
+  console.error(`Error ${context}:`, error);
+  
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: errors
+    });
+  }
+  
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'A tag with this name already exists' });
+  }
+  
+  res.status(500).json({ message: 'Server error' });
+};
+
+// @route   GET api/tags
+// @desc    Get the tag catalogue with the number of tasks using each tag
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const tags = await Tag.find().sort({ name: 1 });
+    const usage = await getTagUsage();
+    const countsByKey = new Map(usage.map(item => [item.normalizedName, item.taskCount]));
+    
+    res.json(tags.map(tag => ({ ...tag.toJSON(), taskCount: countsByKey.get(tag.normalizedName) || 0 })));
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/tags/autocomplete
+// @desc    Suggest catalogue tags for a partial name (q), prefix matches first; accepts limit (max 50)
+// @access  Private
+router.get('/autocomplete', auth, async (req, res) => {
+  try {
+    const q = normalizeTagName(req.query.q);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
+    
+    const prefixMatches = await Tag.find({ normalizedName: new RegExp('^' + escapeRegExp(q)) })
+      .sort({ normalizedName: 1 })
+      .limit(limit);
+    
+    let suggestions = prefixMatches;
+    if (q && prefixMatches.length < limit) {
+      const otherMatches = await Tag.find({
+        normalizedName: new RegExp(escapeRegExp(q)),
+        _id: { $nin: prefixMatches.map(tag => tag._id) }
+      })
+        .sort({ normalizedName: 1 })
+        .limit(limit - prefixMatches.length);
+      suggestions = [...prefixMatches, ...otherMatches];
+    }
+    
+    res.json(suggestions);
+  } catch (error) {
+    console.error('Error suggesting tags:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/tags/unmanaged
+// @desc    Get tags used on tasks that are not in the catalogue, with their spellings and task counts
+// @access  Private (Super Admin only)
+router.get('/unmanaged', auth, requireSuperAdmin, async (req, res) => {
+  try {
+    const catalogueKeys = new Set(await Tag.find().distinct('normalizedName'));
+    const usage = await getTagUsage();
+    
+    res.json(usage.filter(item => !catalogueKeys.has(item.normalizedName)));
+  } catch (error) {
+    console.error('Error fetching unmanaged tags:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/tags
+// @desc    Add a tag to the catalogue
+// @access  Private (Managers and Super Admins)
+router.post('/', auth, requireTagEditor, async (req, res) => {
+  const { name, color, description } = req.body;
+  
+  try {
+    const tagName = cleanTagName(name);
+    if (!tagName) {
+      return res.status(400).json({ message: 'Name is required' });
+    }
+    
+    const existingTag = await Tag.findOne({ normalizedName: normalizeTagName(tagName) });
+    if (existingTag) {
+      return res.status(400).json({ message: 'A tag with this name already exists' });
+    }
+    
+    const tag = await new Tag({
+      name: tagName,
+      normalizedName: normalizeTagName(tagName),
+      color,
+      description: description ? String(description).trim() : '',
+      createdBy: req.currentUser._id
+    }).save();
+    
+    console.log('Tag created:', tag.name, 'by', req.currentUser.email);
+    res.status(201).json(tag);
+  } catch (error) {
+    handleTagError(res, error, 'creating tag');
+  }
+});
+
+// @route   PUT api/tags/:id
+// @desc    Update a tag's colour or description (use the rename route to change its name)
+// @access  Private (Managers and Super Admins)
+router.put('/:id', auth, requireTagEditor, async (req, res) => {
+  const { color, description } = req.body;
+  
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid tag ID format' });
+    }
+    
+    const tag = await Tag.findById(req.params.id);
+    if (!tag) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+    
+    if (color !== undefined) tag.color = color;
+    if (description !== undefined) tag.description = description ? String(description).trim() : '';
+    await tag.save();
+    
+    res.json(tag);
+  } catch (error) {
+    handleTagError(res, error, 'updating tag');
+  }
+});
+
+// @route   POST api/tags/:id/rename
+// @desc    Rename a tag and rewrite it on every task and template using it (any spelling)
+// @access  Private (Super Admin only)
+router.post('/:id/rename', auth, requireSuperAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid tag ID format' });
+    }
+    
+    const newName = cleanTagName(req.body.name);
+    if (!newName) {
+      return res.status(400).json({ message: 'New name is required' });
+    }
+    
+    const tag = await Tag.findById(req.params.id);
+    if (!tag) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+    
+    const newKey = normalizeTagName(newName);
+    if (newKey !== tag.normalizedName) {
+      const existingTag = await Tag.findOne({ normalizedName: newKey });
+      if (existingTag) {
+        return res.status(400).json({ message: 'A tag with this name already exists; merge the tags instead' });
+      }
+    }
+    
+    const oldName = tag.name;
+    tag.name = newName;
+    tag.normalizedName = newKey;
+    await tag.save();
+    
+    const { tasksUpdated } = await rewriteTags([oldName], newName);
+    
+    console.log('Tag renamed:', oldName, '->', newName, 'on', tasksUpdated, 'tasks by', req.currentUser.email);
+    res.json({ tag, tasksUpdated });
+  } catch (error) {
+    handleTagError(res, error, 'renaming tag');
+  }
+});
+
+// @route   POST api/tags/merge
+// @desc    Merge tags into a target tag: catalogue tags (sourceTagIds) and free-text spellings
+//          used on tasks (sourceNames) are rewritten to the target and the source tags removed
+// @access  Private (Super Admin only)
+router.post('/merge', auth, requireSuperAdmin, async (req, res) => {
+  const { targetTagId, sourceTagIds = [], sourceNames = [] } = req.body;
+  
+  try {
+    if (!mongoose.Types.ObjectId.isValid(targetTagId)) {
+      return res.status(400).json({ message: 'Invalid target tag ID format' });
+    }
+    
+    if (!Array.isArray(sourceTagIds) || !Array.isArray(sourceNames)) {
+      return res.status(400).json({ message: 'Source tag IDs and names must be arrays' });
+    }
+    
+    if (!sourceTagIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: 'Invalid source tag ID format' });
+    }
+    
+    const targetTag = await Tag.findById(targetTagId);
+    if (!targetTag) {
+      return res.status(404).json({ message: 'Target tag not found' });
+    }
+    
+    const uniqueSourceIds = [...new Set(sourceTagIds.map(String))].filter(id => id !== targetTag._id.toString());
+    const sourceTags = await Tag.find({ _id: { $in: uniqueSourceIds } });
+    if (sourceTags.length !== uniqueSourceIds.length) {
+      return res.status(404).json({ message: 'Source tag not found' });
+    }
+    
+    const names = [...sourceTags.map(tag => tag.name), ...sourceNames.map(cleanTagName).filter(Boolean)];
+    if (names.length === 0) {
+      return res.status(400).json({ message: 'At least one source tag is required' });
+    }
+    
+    const { tasksUpdated } = await rewriteTags(names, targetTag.name);
+    
+    // Catalogue entries matching a free-text source name are merged too
+    const removed = await Tag.deleteMany({
+      _id: { $ne: targetTag._id },
+      normalizedName: { $in: names.map(normalizeTagName) }
+    });
+    
+    console.log('Tags merged into', targetTag.name, ':', names, 'by', req.currentUser.email);
+    res.json({ tag: targetTag, mergedTags: names, tagsRemoved: removed.deletedCount, tasksUpdated });
+  } catch (error) {
+    console.error('Error merging tags:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE api/tags/:id
+// @desc    Remove a tag from the catalogue; tasks keep it as a free-text tag
+// @access  Private (Super Admin only)
+router.delete('/:id', auth, requireSuperAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid tag ID format' });
+    }
+    
+    const tag = await Tag.findByIdAndDelete(req.params.id);
+    if (!tag) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+    
+    res.json({ success: true, message: 'Tag deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting tag:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -4,342 +4,2244 @@ const Task = require('../models/Task');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
 const mongoose = require('mongoose');
+const {
+  isUserInManagerTeam,
+  getAssignableUsers,
+  canViewTask,
+  getEditPermission,
+  getStatusUpdatePermission,
+  canReassignTask,
+  canDeleteTask,
+  getTeamMemberIds,
+  getTaskScopeFilter
+} = require('../services/taskAccess');
+const { parseTaskListQuery, findTasks, sendTaskList } = require('../services/taskQuery');
+const { buildSearchSnippets } = require('../services/taskSearch');
+const { trashTask, restoreTask } = require('../services/taskTrash');
+const { diffTaskFields, recordActivity } = require('../services/activityLog');
+const TaskActivity = require('../models/TaskActivity');
+const TaskSeries = require('../models/TaskSeries');
+const { parseRecurrenceRule, spawnNextOccurrence } = require('../services/recurrence');
+const { getWorkflowStatus, getDefaultStatus, checkTransition } = require('../services/workflow');
+const TimeLog = require('../models/TimeLog');
+const { parseEstimate, getTimeTotals } = require('../services/timeTracking');
+const TaskTemplate = require('../models/TaskTemplate');
+const { computeDueDate, getTemplateScopeFilter } = require('../services/taskTemplates');
+const { getInitialWatchers, notifyTaskChanges } = require('../services/watchers');
+const {
+  setTaskEtag,
+  setTaskDetailEtag,
+  getExpectedVersion,
+  isCurrentVersion,
+  getVersionCondition,
+  sendVersionConflict
+} = require('../services/taskVersion');
+const { computeSlaDeadlines, getSlaTransitionUpdate } = require('../services/sla');
+const { uploadImportFile, validateImport, commitImport } = require('../services/taskImport');
+const { parseExportOptions, streamTaskExport } = require('../services/taskExport');
+const { getRankAtEnd, getMoveRank, getBoard } = require('../services/taskBoard');
+const { getTaskProject } = require('../services/projects');
+const { normalizeTags } = require('../services/tags');
+const {
+  getInitialAcceptance,
+  isAwaitingAcceptance,
+  getImplicitAcceptance,
+  notifyDeclined
+} = require('../services/taskAcceptance');
+const {
+  REVIEW_STATUS_KEY,
+  parseRequiresReview,
+  canReviewTask,
+  canLeaveReview,
+  canCreateInStatus,
+  getReviewTransition,
+  getReviewOutcomeStatus,
+  notifyReviewChange
+} = require('../services/taskReview');
 
-// Helper function to check if user is in manager's team
-const isUserInManagerTeam = async (userId, managerId) => {
+// Helper function to recompute a task's progress from its subtasks and checklist; with
+// bumpVersion a change counts as an edit of the task (for parents of the edited task)
+const refreshTaskProgress = async (taskId, { bumpVersion = false } = {}) => {
+  const task = await Task.findById(taskId).select('statusCategory checklist progress');
+  if (!task) return null;
+  
+  const subtasks = await Task.find({ parentTaskId: task._id }).select('statusCategory');
+  const total = subtasks.length + task.checklist.length;
+  const done = subtasks.filter(subtask => subtask.statusCategory === 'done').length +
+    task.checklist.filter(item => item.completed).length;
+  
+  // Without subtasks or checklist items, progress follows the task's own status
+  let progress;
+  if (total === 0) {
+    progress = task.statusCategory === 'done' ? 100 : 0;
+  } else {
+    progress = Math.round((done / total) * 100);
+  }
+  
+  if (progress !== task.progress) {
+    await Task.updateOne(
+      { _id: task._id },
+      bumpVersion ? { $set: { progress }, $inc: { version: 1 } } : { $set: { progress } }
+    );
+  }
+  return progress;
+};
+
+// Helper function to get blockers of a task that are not done yet
+const getOpenBlockers = async (task) => {
+  if (!task.blockedBy || task.blockedBy.length === 0) return [];
+  
+  return await Task.find({ _id: { $in: task.blockedBy }, statusCategory: { $ne: 'done' } })
+    .select('title status targetDate');
+};
+
+// Helper function to check if making taskId depend on blockerId would create a cycle
+const createsDependencyCycle = async (taskId, blockerId) => {
+  const target = taskId.toString();
+  const visited = new Set();
+  let frontier = [blockerId.toString()];
+  
+  // Walk upstream from the blocker; reaching the task itself means a cycle
+  while (frontier.length > 0) {
+    if (frontier.includes(target)) return true;
+    frontier.forEach(id => visited.add(id));
+    
+    const upstream = await Task.find({ _id: { $in: frontier } }).distinct('blockedBy');
+    frontier = upstream
+      .map(id => id.toString())
+      .filter(id => !visited.has(id));
+  }
+  
+  return false;
+};
+
+// Helper function to get the upstream (blocking) and downstream (blocked) tasks the
+// current user can view; the others are only counted
+const getTaskDependencies = async (task, currentUser) => {
+  const findLinked = async (filter) => {
+    // The access fields are loaded for the visibility check only
+    const linked = await Task.find(filter)
+      .select('title status targetDate assigneeId createdBy watchers projectId')
+      .populate('assigneeId', 'name email');
+    
+    const visible = [];
+    for (const linkedTask of linked) {
+      if (await canViewTask(currentUser, linkedTask)) {
+        visible.push({
+          id: linkedTask._id,
+          title: linkedTask.title,
+          status: linkedTask.status,
+          targetDate: linkedTask.targetDate,
+          assigneeId: linkedTask.assigneeId
+        });
+      }
+    }
+    return { visible, hiddenCount: linked.length - visible.length };
+  };
+  
+  const upstream = await findLinked({ _id: { $in: task.blockedBy || [] } });
+  const downstream = await findLinked({ blockedBy: task._id });
+  
+  return {
+    upstream: upstream.visible,
+    downstream: downstream.visible,
+    hiddenUpstreamCount: upstream.hiddenCount,
+    hiddenDownstreamCount: downstream.hiddenCount
+  };
+};
+
+// Helper function to get open blockers that prevent moving a task to the given
+// workflow status (any "doing" or "done" status); managers and super admins may override the check
+const getBlockingDependencies = async (task, targetStatus, currentUser, override) => {
+  if (!['doing', 'done'].includes(targetStatus.category)) return [];
+  
+  const openBlockers = await getOpenBlockers(task);
+  if (openBlockers.length === 0) return [];
+  
+  if (override === true && ['manager', 'super_admin'].includes(currentUser.role)) {
+    console.log('Dependency check overridden by:', currentUser.role);
+    return [];
+  }
+  
+  return openBlockers;
+};
+
+// Helper function to run the checks of a status change: permission, version and, with
+// checkWorkflow, the workflow transition and blocked-by rules; sends the error response
+// and returns null when a check fails
+const checkStatusChange = async (req, res, task, targetStatus, currentUser, { checkWorkflow = true } = {}) => {
+  // Check if user can update this task's status
+  const { canUpdate, updateReason } = await getStatusUpdatePermission(currentUser, task);
+  
+  console.log('Status update permission check:', { canUpdate, updateReason });
+  
+  if (!canUpdate) {
+    res.status(403).json({ message: 'You cannot update this task status' });
+    return null;
+  }
+  
+  // Reject changes based on a stale copy of the task (If-Match header or version field)
+  const { expected: expectedVersion, error: versionError } = getExpectedVersion(req);
+  if (versionError) {
+    res.status(400).json({ message: versionError });
+    return null;
+  }
+  if (!isCurrentVersion(task, expectedVersion)) {
+    await sendVersionConflict(res, task._id, expectedVersion);
+    return null;
+  }
+  
+  // Moving a task out of a pending review decides it, so only its reviewers can
+  if (!(await canLeaveReview(currentUser, task, targetStatus))) {
+    res.status(403).json({ message: 'Only the task creator or the assignee\'s leaders can review this task' });
+    return null;
+  }
+  
+  if (checkWorkflow) {
+    // Check the workflow allows this transition for the user's role
+    const transition = await checkTransition(task.status, targetStatus.key, currentUser.role);
+    if (!transition.allowed) {
+      res.status(403).json({ message: transition.message });
+      return null;
+    }
+    
+    // Blocked tasks cannot start or complete until their blockers are done
+    const blockers = await getBlockingDependencies(task, targetStatus, currentUser, req.body.overrideDependencies);
+    if (blockers.length > 0) {
+      res.status(409).json({ 
+        message: 'Task is blocked by incomplete dependencies',
+        blockers
+      });
+      return null;
+    }
+  }
+  
+  return { expectedVersion };
+};
+
+// Helper function to change a task's workflow status and apply its side effects
+// (review, completion date, history, progress and the next recurring occurrence); returns
+// null when the task no longer has the expected version. A task moving to another status
+// goes to the bottom of its column unless a board rank is given. The assignee completing
+// a task that needs review sends it to review instead (see services/taskReview.js).
+const applyStatusChange = async (task, requestedStatus, currentUser, expectedVersion = null, { rank = null, reviewReason = null } = {}) => {
+  const reviewTransition = await getReviewTransition(task, requestedStatus, currentUser, { reason: reviewReason });
+  const targetStatus = reviewTransition.targetStatus;
+  
+  const updateFields = {
+    status: targetStatus.key,
+    statusCategory: targetStatus.category,
+    lastUpdated: new Date()
+  };
+  
+  if (reviewTransition.review) {
+    updateFields.review = reviewTransition.review;
+  }
+  
+  // The assignee working on a task accepts it
+  Object.assign(updateFields, getImplicitAcceptance(task, currentUser));
+  
+  // A rank picked in the requested column doesn't apply when the task went to review
+  if (rank && targetStatus.key === requestedStatus.key) {
+    updateFields.rank = rank;
+  } else if (targetStatus.key !== task.status) {
+    updateFields.rank = await getRankAtEnd(targetStatus.key, task._id);
+  }
+  
+  // Handle completion date
+  const enteringDone = targetStatus.category === 'done' && task.statusCategory !== 'done';
+  const slaUpdate = getSlaTransitionUpdate(task, targetStatus.category);
+  Object.assign(updateFields, slaUpdate.set);
+  updateFields.$unset = slaUpdate.unset;
+  if (enteringDone) {
+    updateFields.completedDate = new Date();
+  } else if (targetStatus.category !== 'done' && task.statusCategory === 'done') {
+    // Remove completion date when moving out of a done status
+    updateFields.$unset.completedDate = 1;
+  }
+  
+  const updatedTask = await Task.findOneAndUpdate(
+    { _id: task._id, ...getVersionCondition(expectedVersion) },
+    { ...updateFields, $inc: { version: 1 } },
+    { new: true, runValidators: true }
+  )
+    .populate('assigneeId', 'name email')
+    .populate('createdBy', 'name email');
+  
+  if (!updatedTask) {
+    return null;
+  }
+  
+  await recordActivity({
+    taskId: updatedTask._id,
+    actorId: currentUser._id,
+    action: 'status_changed',
+    changes: diffTaskFields(task, updatedTask, ['status', 'completedDate']),
+    details: reviewTransition.review
+      ? { review: reviewTransition.review.state, reason: reviewTransition.review.reason }
+      : undefined
+  });
+  await notifyReviewChange(task, updatedTask, currentUser, reviewTransition);
+  
+  // Keep progress in sync for this task and its parent
+  updatedTask.progress = await refreshTaskProgress(updatedTask._id);
+  if (updatedTask.parentTaskId) {
+    await refreshTaskProgress(updatedTask.parentTaskId, { bumpVersion: true });
+  }
+  
+  // Completing an occurrence creates the next one
+  if (enteringDone) {
+    await spawnNextOccurrence(updatedTask);
+  }
+  
+  return updatedTask;
+};
+
+// Helper function to move a task and its subtasks to the trash
+const trashTaskCascade = async (task, currentUser) => {
+  const { subtaskIds } = await trashTask(task, currentUser);
+  
+  await recordActivity({
+    taskId: task._id,
+    actorId: currentUser._id,
+    action: 'deleted',
+    details: { title: task.title, subtasksDeleted: subtaskIds.length }
+  });
+  
+  if (task.parentTaskId) {
+    await refreshTaskProgress(task.parentTaskId, { bumpVersion: true });
+  }
+};
+
+// Helper function to check if a user can view another user's tasks
+const canViewUserTasks = async (currentUser, targetUserId) => {
+  if (currentUser.role === 'super_admin') {
+    return true;
+  }
+  
+  if (currentUser._id.toString() === targetUserId) {
+    return true; // Can view own tasks
+  }
+  
+  if (currentUser.role === 'manager') {
+    return await isUserInManagerTeam(targetUserId, currentUser._id.toString());
+  }
+  
+  if (currentUser.role === 'supervisor') {
+    const targetUser = await User.findById(targetUserId);
+    return !!(targetUser && targetUser.supervisorId && targetUser.supervisorId.toString() === currentUser._id.toString());
+  }
+  
+  return false;
+};
+
+// Helper function to send a task listing as a CSV or XLSX download
+const sendTaskExport = async (req, res, scopeFilter) => {
+  const { listQuery, error } = parseTaskListQuery(req.query);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+  
+  const { exportOptions, error: exportError } = parseExportOptions(req.query);
+  if (exportError) {
+    return res.status(400).json({ message: exportError });
+  }
+  
+  // Unknown roles get a file with only the header row
+  await streamTaskExport(res, scopeFilter || { _id: null }, listQuery, exportOptions);
+};
+
+// Helper function to report an export error, which can happen after the download started
+const handleExportError = (res, error) => {
+  console.error('Task export error:', error);
+  if (res.headersSent) {
+    res.destroy(error);
+  } else {
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// @route   GET api/tasks/assignable-users
+// @desc    Get users that current user can assign tasks to
+// @access  Private
+router.get('/assignable-users', auth, async (req, res) => {
   try {
-    const user = await User.findById(userId);
-    if (!user) return false;
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
     
-    // Direct report to manager
-    if (user.managerId && user.managerId.toString() === managerId) {
-      return true;
+    const assignableUsers = await getAssignableUsers(currentUser);
+    res.json(assignableUsers);
+  } catch (error) {
+    console.error('Error getting assignable users:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET api/tasks
+// @desc    Get tasks based on user role and permissions, with optional
+//          filtering (status, priority, tags, assigneeId, createdBy, date ranges, overdue, acceptance),
+//          sorting (sortBy, sortOrder) and pagination (page/limit or cursor)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
     }
     
-    // Member under supervisor who reports to manager
-    if (user.role === 'member' && user.supervisorId) {
-      const supervisor = await User.findById(user.supervisorId);
-      if (supervisor && supervisor.managerId && supervisor.managerId.toString() === managerId) {
-        return true;
-      }
+    const { listQuery, error } = parseTaskListQuery(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
     }
     
-    // Supervisor reporting to manager
-    if (user.role === 'supervisor' && user.managerId && user.managerId.toString() === managerId) {
-      return true;
+    // Role-based scoping; unknown roles see nothing
+    const scopeFilter = await getTaskScopeFilter(currentUser);
+    if (!scopeFilter) {
+      return sendTaskList(res, { tasks: [], total: 0, pagination: null });
     }
     
-    return false;
+    const result = await findTasks(scopeFilter, listQuery);
+    sendTaskList(res, result);
   } catch (error) {
-    console.error('Error checking if user is in manager team:', error);
-    return false;
+    console.error('Error fetching tasks:', error);
+    res.status(500).json({ message: 'Server Error' });
   }
-};
+});
+
+// @route   GET api/tasks/trash
+// @desc    Get trashed tasks visible to the current user, most recently deleted first;
+//          accepts the same filter, sort and pagination parameters as GET api/tasks
+// @access  Private
+router.get('/trash', auth, async (req, res) => {
+  try {
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const { listQuery, error } = parseTaskListQuery({ sortBy: 'deletedAt', ...req.query });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    const scopeFilter = await getTaskScopeFilter(currentUser);
+    if (!scopeFilter) {
+      return sendTaskList(res, { tasks: [], total: 0, pagination: null });
+    }
+    
+    const result = await findTasks(scopeFilter, listQuery, { trashed: true });
+    sendTaskList(res, result);
+  } catch (error) {
+    console.error('Error fetching trashed tasks:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET api/tasks/export
+// @desc    Export the tasks of GET api/tasks as CSV or XLSX; accepts the same filter and sort
+//          parameters plus format (csv, xlsx), columns and timezone
+// @access  Private
+router.get('/export', auth, async (req, res) => {
+  try {
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    await sendTaskExport(req, res, await getTaskScopeFilter(currentUser));
+  } catch (error) {
+    handleExportError(res, error);
+  }
+});
+
+// @route   GET api/tasks/board
+// @desc    Get visible tasks grouped by status column in board order;
+//          accepts the same filter parameters as GET api/tasks
+// @access  Private
+router.get('/board', auth, async (req, res) => {
+  try {
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const { listQuery, error } = parseTaskListQuery(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    // Unknown roles see empty columns
+    const scopeFilter = await getTaskScopeFilter(currentUser) || { _id: null };
+    const columns = await getBoard({ $and: [scopeFilter, ...listQuery.conditions] });
+    
+    res.json({ columns });
+  } catch (error) {
+    console.error('Error fetching task board:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
 
-// Helper function to get assignable users
-const getAssignableUsers = async (currentUser) => {
+// @route   GET api/tasks/search
+// @desc    Full-text search over title, description, remarks and tags of visible tasks,
+//          ranked by relevance; accepts the GET api/tasks filters plus page/limit
+// @access  Private
+router.get('/search', auth, async (req, res) => {
+  try {
+    // A repeated q parameter is parsed as an array
+    if (req.query.q !== undefined && typeof req.query.q !== 'string') {
+      return res.status(400).json({ message: 'Search query must be a single value' });
+    }
+    
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q) {
+      return res.status(400).json({ message: 'Search query is required' });
+    }
+    
+    // Results are ordered by relevance, which keyset cursors can't follow
+    if (req.query.cursor !== undefined) {
+      return res.status(400).json({ message: 'Search results are paged with page and limit, not cursor' });
+    }
+    
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const { listQuery, error } = parseTaskListQuery(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    // Results are restricted to what the caller could see in GET api/tasks
+    const scopeFilter = await getTaskScopeFilter(currentUser);
+    if (!scopeFilter) {
+      return res.json({ results: [], pagination: { total: 0, page: 1, limit: listQuery.limit, totalPages: 0 } });
+    }
+    
+    const filter = {
+      $text: { $search: q },
+      $and: [scopeFilter, ...listQuery.conditions]
+    };
+    
+    const total = await Task.countDocuments(filter);
+    const tasks = await Task.find(filter, { score: { $meta: 'textScore' } })
+      .populate('assigneeId', 'name email')
+      .populate('createdBy', 'name email')
+      .sort({ score: { $meta: 'textScore' }, lastUpdated: -1 })
+      .skip((listQuery.page - 1) * listQuery.limit)
+      .limit(listQuery.limit);
+    
+    const results = tasks.map(task => ({
+      task,
+      score: task.get('score'),
+      highlights: buildSearchSnippets(task, q)
+    }));
+    
+    res.json({
+      results,
+      pagination: {
+        total,
+        page: listQuery.page,
+        limit: listQuery.limit,
+        totalPages: Math.ceil(total / listQuery.limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error searching tasks:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// Operations supported by the bulk endpoint
+const BULK_OPERATIONS = ['status', 'reassign', 'priority', 'addTags', 'removeTags', 'targetDate', 'delete'];
+const MAX_BULK_TASKS = 200;
+
+// @route   POST api/tasks/bulk
+// @desc    Apply one operation to many tasks, checking permissions per task
+// @access  Private
+router.post('/bulk', auth, async (req, res) => {
+  const { taskIds, operation, value, overrideDependencies } = req.body;
+  
   try {
-    const allUsers = await User.find({ status: 'active' }).select('-password');
-    let assignableUsers = [];
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (!Array.isArray(taskIds) || taskIds.length === 0) {
+      return res.status(400).json({ message: 'taskIds must be a non-empty array' });
+    }
+    
+    if (taskIds.length > MAX_BULK_TASKS) {
+      return res.status(400).json({ message: `A maximum of ${MAX_BULK_TASKS} tasks can be updated at once` });
+    }
+    
+    if (!BULK_OPERATIONS.includes(operation)) {
+      return res.status(400).json({ 
+        message: 'Invalid operation. Must be one of: ' + BULK_OPERATIONS.join(', ') 
+      });
+    }
     
-    switch (currentUser.role) {
-      case 'super_admin':
-        // Super admin can assign to anyone
-        assignableUsers = allUsers.filter(user => user._id.toString() !== currentUser._id.toString());
+    // Validate the operation value once, up front
+    let updateFields = null;
+    let updateOperator = null;
+    let assignableUsers = null;
+    let targetStatus = null;
+    
+    switch (operation) {
+      case 'status':
+        targetStatus = await getWorkflowStatus(value);
+        if (!targetStatus) {
+          return res.status(400).json({ message: 'Invalid status value' });
+        }
+        break;
+        
+      
+      case 'reassign':
+        if (!value || !mongoose.Types.ObjectId.isValid(value)) {
+          return res.status(400).json({ message: 'Invalid new assignee ID format' });
+        }
+        assignableUsers = await getAssignableUsers(currentUser);
+        if (!assignableUsers.some(user => user._id.toString() === value)) {
+          return res.status(403).json({ message: 'You cannot assign tasks to this user' });
+        }
+        // The new assignee starts watching the task
+        updateOperator = { $set: { assigneeId: value }, $addToSet: { watchers: value } };
+        break;
+        
+      case 'priority': {
+        const validPriorities = ['low', 'medium', 'high', 'urgent'];
+        if (!validPriorities.includes(value)) {
+          return res.status(400).json({ message: 'Invalid priority value' });
+        }
+        updateFields = { priority: value };
+        break;
+      }
+      
+      case 'addTags':
+      case 'removeTags': {
+        let tags = Array.isArray(value) ? value.map(tag => String(tag).trim()).filter(Boolean) : [];
+        if (tags.length === 0) {
+          return res.status(400).json({ message: 'Tags must be a non-empty array' });
+        }
+        // Added tags are matched to the catalogue like in POST api/tasks
+        if (operation === 'addTags') {
+          const tagCheck = await normalizeTags(tags);
+          if (tagCheck.error) {
+            return res.status(400).json({ message: tagCheck.error, unknownTags: tagCheck.unknownTags });
+          }
+          tags = tagCheck.tags;
+        }
+        updateOperator = operation === 'addTags'
+          ? { $addToSet: { tags: { $each: tags } } }
+          : { $pull: { tags: { $in: tags } } };
+        break;
+      }
+      
+      case 'targetDate': {
+        const targetDateObj = new Date(value);
+        if (!value || isNaN(targetDateObj.getTime())) {
+          return res.status(400).json({ message: 'Invalid target date format' });
+        }
+        updateFields = { targetDate: targetDateObj };
+        break;
+      }
+      
+      default:
         break;
+    }
+    
+    const results = [];
+    
+    for (const taskId of taskIds) {
+      try {
+        if (!mongoose.Types.ObjectId.isValid(taskId)) {
+          results.push({ taskId, success: false, message: 'Invalid task ID format' });
+          continue;
+        }
+        
+        const task = await Task.findById(taskId);
+        if (!task) {
+          results.push({ taskId, success: false, message: 'Task not found' });
+          continue;
+        }
         
-      case 'manager':
-        // Manager can assign to:
-        // 1. Supervisors under them
-        // 2. Members under them (direct reports)
-        // 3. Members under their supervisors
-        // 4. Other managers (for reassignment)
-        assignableUsers = allUsers.filter(user => {
-          if (user._id.toString() === currentUser._id.toString()) return false;
+        if (operation === 'status') {
+          const { canUpdate } = await getStatusUpdatePermission(currentUser, task);
+          if (!canUpdate) {
+            results.push({ taskId, success: false, message: 'You cannot update this task status' });
+            continue;
+          }
           
-          // Include supervisors reporting to this manager
-          if (user.role === 'supervisor' && user.managerId && user.managerId.toString() === currentUser._id.toString()) {
-            return true;
+          const transition = await checkTransition(task.status, targetStatus.key, currentUser.role);
+          if (!transition.allowed) {
+            results.push({ taskId, success: false, message: transition.message });
+            continue;
           }
           
-          // Include members reporting directly to this manager
-          if (user.role === 'member' && user.managerId && user.managerId.toString() === currentUser._id.toString()) {
-            return true;
+          if (!(await canLeaveReview(currentUser, task, targetStatus))) {
+            results.push({ taskId, success: false, message: 'Only the task creator or the assignee\'s leaders can review this task' });
+            continue;
           }
           
-          // Include members under supervisors of this manager
-          if (user.role === 'member' && user.supervisorId) {
-            const supervisor = allUsers.find(s => s._id.toString() === user.supervisorId.toString());
-            if (supervisor && supervisor.managerId && supervisor.managerId.toString() === currentUser._id.toString()) {
-              return true;
-            }
+          const blockers = await getBlockingDependencies(task, targetStatus, currentUser, overrideDependencies);
+          if (blockers.length > 0) {
+            results.push({ taskId, success: false, message: 'Task is blocked by incomplete dependencies' });
+            continue;
           }
           
-          // Include other managers for reassignment
-          if (user.role === 'manager') {
-            return true;
+          if (!(await applyStatusChange(task, targetStatus, currentUser))) {
+            results.push({ taskId, success: false, message: 'Task not found' });
+            continue;
+          }
+        } else if (operation === 'delete') {
+          if (!(await canDeleteTask(currentUser, task))) {
+            results.push({ taskId, success: false, message: 'You cannot delete this task' });
+            continue;
           }
           
-          return false;
-        });
-        break;
-        
-      case 'supervisor':
-        // Supervisor can assign to:
-        // 1. Members under them
-        // 2. Themselves
-        assignableUsers = allUsers.filter(user => {
-          if (user._id.toString() === currentUser._id.toString()) return true;
+          await trashTaskCascade(task, currentUser);
+        } else {
+          const { canEdit } = await getEditPermission(currentUser, task);
+          if (!canEdit) {
+            results.push({ taskId, success: false, message: 'You cannot edit this task' });
+            continue;
+          }
           
-          // Include members reporting to this supervisor
-          if (user.role === 'member' && user.supervisorId && user.supervisorId.toString() === currentUser._id.toString()) {
-            return true;
+          if (operation === 'reassign' && !canReassignTask(currentUser, task)) {
+            results.push({ taskId, success: false, message: 'You cannot reassign this task' });
+            continue;
           }
           
-          return false;
-        });
-        break;
-        
-      case 'member':
-        // Member can only assign to themselves
-        assignableUsers = [currentUser];
-        break;
+          const update = updateOperator
+            ? { ...updateOperator, $set: { ...updateOperator.$set, lastUpdated: new Date() }, $inc: { version: 1 } }
+            : { $set: { ...updateFields, lastUpdated: new Date() }, $inc: { version: 1 } };
+          
+          // A new assignee has to accept the task
+          if (operation === 'reassign' && task.assigneeId.toString() !== value) {
+            update.$set.acceptance = getInitialAcceptance(value, currentUser._id);
+          }
+          const updatedTask = await Task.findByIdAndUpdate(task._id, update, { new: true, runValidators: true });
+          
+          await recordActivity({
+            taskId: task._id,
+            actorId: currentUser._id,
+            action: 'updated',
+            changes: diffTaskFields(task, updatedTask),
+            details: { bulk: true }
+          });
+          await notifyTaskChanges(task, updatedTask, currentUser);
+        }
         
-      default:
-        assignableUsers = [];
+        results.push({ taskId, success: true });
+      } catch (itemError) {
+        console.error('Bulk operation error for task', taskId, itemError);
+        results.push({ taskId, success: false, message: 'Server error' });
+      }
     }
     
-    return assignableUsers;
+    const succeeded = results.filter(result => result.success).length;
+    console.log('Bulk operation completed:', { operation, succeeded, failed: results.length - succeeded });
+    
+    res.json({
+      operation,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    });
   } catch (error) {
-    console.error('Error getting assignable users:', error);
-    return [];
+    console.error('Bulk operation error:', error);
+    res.status(500).json({ message: 'Server Error' });
   }
-};
+});
 
-// @route   GET api/tasks/assignable-users
-// @desc    Get users that current user can assign tasks to
+// @route   POST api/tasks/import
+// @desc    Import tasks from a CSV file (multipart field "file") with columns title, description,
+//          assignee email, targetDate, priority, tags and status. With dryRun=true the rows are
+//          only validated; mode=atomic (default) imports nothing if any row is invalid or fails,
+//          mode=best-effort imports the valid rows and reports the others
+// @access  Private
+router.post('/import', auth, uploadImportFile, async (req, res) => {
+  try {
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+    
+    const dryRun = (req.query.dryRun || req.body.dryRun) === 'true';
+    const mode = req.query.mode || req.body.mode || 'atomic';
+    if (!['atomic', 'best-effort'].includes(mode)) {
+      return res.status(400).json({ message: 'Invalid mode. Must be one of: atomic, best-effort' });
+    }
+    
+    const { rows, error } = await validateImport(req.file.buffer.toString('utf8'), currentUser);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    const validRows = rows.filter(row => row.errors.length === 0);
+    const invalidRows = rows.filter(row => row.errors.length > 0).map(row => ({ row: row.row, errors: row.errors }));
+    const summary = {
+      dryRun,
+      mode,
+      totalRows: rows.length,
+      validRows: validRows.length,
+      invalidRows: invalidRows.length,
+      errors: invalidRows
+    };
+    
+    if (dryRun) {
+      return res.json({
+        ...summary,
+        preview: validRows.map(row => ({ row: row.row, ...row.fields }))
+      });
+    }
+    
+    if (mode === 'atomic' && invalidRows.length > 0) {
+      return res.status(400).json({
+        ...summary,
+        message: 'Import cancelled: some rows are invalid',
+        imported: 0
+      });
+    }
+    
+    const { created, failed, rolledBack } = await commitImport(validRows, currentUser, mode === 'atomic');
+    
+    console.log('Tasks imported:', created.length, 'by', currentUser.email);
+    
+    res.status(created.length > 0 ? 201 : 400).json({
+      ...summary,
+      message: rolledBack ? 'Import cancelled: a task could not be saved' : undefined,
+      imported: created.length,
+      tasks: created,
+      errors: [...invalidRows, ...failed]
+    });
+  } catch (error) {
+    console.error('Task import error:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET api/tasks/:id
+// @desc    Get task by ID (with permission check)
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid task ID format' });
+    }
+
+    const task = await Task.findById(req.params.id)
+      .populate('assigneeId', 'name email')
+      .populate('createdBy', 'name email')
+      .populate('seriesId', 'rule active occurrenceCount');
+    
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    const currentUser = await User.findById(req.user.userId);
+    
+    // Check if user has permission to view this task
+    const hasPermission = await canViewTask(currentUser, task);
+    
+    if (!hasPermission) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    
+    // Only include subtasks the current user could view on their own
+    const children = await Task.find({ parentTaskId: task._id })
+      .populate('assigneeId', 'name email')
+      .populate('createdBy', 'name email')
+      .sort({ targetDate: 1 });
+    const subtasks = [];
+    for (const child of children) {
+      if (await canViewTask(currentUser, child)) {
+        subtasks.push(child);
+      }
+    }
+    
+    const dependencies = await getTaskDependencies(task, currentUser);
+    const timeTracking = await getTimeTotals(task);
+    
+    const body = { ...task.toJSON(), subtasks, dependencies, timeTracking };
+    setTaskDetailEtag(res, task, body);
+    res.json(body);
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST api/tasks
+// @desc    Create a task with permission checks
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  const { title, description, assigneeId, targetDate, status, priority, tags, recurrence, estimatedMinutes, projectId, requiresReview } = req.body;
+  
+  try {
+    console.log('Creating task with data:', req.body);
+
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    // Validate required fields
+    if (!title || !assigneeId || !targetDate) {
+      return res.status(400).json({ message: 'Title, assignee, and target date are required' });
+    }
+    
+    // Validate ObjectId format for assigneeId
+    if (!mongoose.Types.ObjectId.isValid(assigneeId)) {
+      return res.status(400).json({ message: 'Invalid assignee ID format' });
+    }
+
+    // Validate assignee
+    const assignee = await User.findById(assigneeId);
+    if (!assignee) {
+      return res.status(400).json({ message: 'Assignee not found' });
+    }
+    
+    // Check if current user can assign to this user
+    const assignableUsers = await getAssignableUsers(currentUser);
+    const canAssign = assignableUsers.some(user => user._id.toString() === assigneeId);
+    
+    if (!canAssign) {
+      return res.status(403).json({ message: 'You cannot assign tasks to this user' });
+    }
+    
+    // Validate date format
+    const targetDateObj = new Date(targetDate);
+    if (isNaN(targetDateObj.getTime())) {
+      return res.status(400).json({ message: 'Invalid target date format' });
+    }
+    
+    let estimate = null;
+    if (estimatedMinutes !== undefined) {
+      const parsedEstimate = parseEstimate(estimatedMinutes);
+      if (parsedEstimate.error) {
+        return res.status(400).json({ message: parsedEstimate.error });
+      }
+      estimate = parsedEstimate.estimatedMinutes;
+    }
+    
+    // Match tags to the catalogue (optionally rejecting unknown ones)
+    const tagCheck = await normalizeTags(tags);
+    if (tagCheck.error) {
+      return res.status(400).json({ message: tagCheck.error, unknownTags: tagCheck.unknownTags });
+    }
+    const taskTags = tagCheck.tags;
+    
+    let project = null;
+    if (projectId) {
+      const projectCheck = await getTaskProject(projectId, currentUser);
+      if (projectCheck.error) {
+        return res.status(projectCheck.statusCode).json({ message: projectCheck.error });
+      }
+      project = projectCheck.project;
+    }
+    
+    // Without a setting the task follows the review rule of the assignee's team
+    let reviewSetting = { requiresReview: null };
+    if (requiresReview !== undefined) {
+      reviewSetting = parseRequiresReview(requiresReview);
+      if (reviewSetting.error) {
+        return res.status(400).json({ message: reviewSetting.error });
+      }
+      if (reviewSetting.requiresReview === false && assigneeId === currentUser._id.toString()) {
+        return res.status(403).json({ message: 'You cannot turn off review for your own task' });
+      }
+    }
+    
+    // Tasks start in the requested workflow status or the workflow's default
+    const initialStatus = status ? await getWorkflowStatus(status) : await getDefaultStatus();
+    if (!initialStatus) {
+      return res.status(400).json({ message: 'Invalid status value' });
+    }
+    
+    // Creating a task as completed must not skip its review
+    if (!(await canCreateInStatus(currentUser, { assigneeId, requiresReview: reviewSetting.requiresReview }, initialStatus))) {
+      return res.status(403).json({ message: 'This task needs review, so it cannot be created as completed' });
+    }
+    
+    // Recurring tasks start a series that later occurrences are copied from
+    let series = null;
+    if (recurrence) {
+      const { rule, error } = parseRecurrenceRule(recurrence);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      
+      series = await new TaskSeries({
+        rule,
+        template: {
+          title: title.trim(),
+          description: description ? description.trim() : '',
+          assigneeId: assigneeId,
+          priority: priority || 'medium',
+          tags: taskTags
+        },
+        createdBy: currentUser._id
+      }).save();
+    }
+
+    // SLA deadlines run from creation; tasks created as started or done count as such
+    const createdAt = new Date();
+    const slaDeadlines = await computeSlaDeadlines(priority || 'medium', taskTags, createdAt);
+    const sla = {
+      ...slaDeadlines,
+      startedAt: ['doing', 'done'].includes(initialStatus.category) ? createdAt : null,
+      completedAt: initialStatus.category === 'done' ? createdAt : null
+    };
+
+    const newTask = new Task({
+      title: title.trim(),
+      description: description ? description.trim() : '',
+      assigneeId: assigneeId,
+      targetDate: targetDateObj,
+      status: initialStatus.key,
+      statusCategory: initialStatus.category,
+      completedDate: initialStatus.category === 'done' ? new Date() : undefined,
+      priority: priority || 'medium',
+      tags: taskTags,
+      sla,
+      createdAt,
+      estimatedMinutes: estimate !== null ? estimate : undefined,
+      projectId: project ? project._id : null,
+      requiresReview: reviewSetting.requiresReview,
+      assignedDate: new Date(),
+      lastUpdated: new Date(),
+      createdBy: currentUser._id,
+      watchers: getInitialWatchers(currentUser._id, assigneeId),
+      acceptance: getInitialAcceptance(assigneeId, currentUser._id, { now: createdAt }),
+      seriesId: series ? series._id : null,
+      occurrenceIndex: series ? 1 : undefined
+    });
+    
+    console.log('Saving new task:', newTask);
+    const task = await newTask.save();
+    console.log('Task saved successfully:', task._id);
+    
+    await recordActivity({ taskId: task._id, actorId: currentUser._id, action: 'created' });
+    
+    if (task.statusCategory === 'done') {
+      await spawnNextOccurrence(task);
+    }
+    
+    const populatedTask = await Task.findById(task._id)
+      .populate('assigneeId', 'name email')
+      .populate('createdBy', 'name email');
+    
+    setTaskEtag(res, populatedTask);
+    res.status(201).json(populatedTask);
+  } catch (error) {
+    console.error('Task creation error:', error);
+    
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ 
+        message: 'Validation error', 
+        errors: errors
+      });
+    }
+    
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST api/tasks/from-template/:templateId
+// @desc    Create a task and its default subtasks from a template for a chosen assignee;
+//          due dates are counted from startDate (default now)
+// @access  Private
+router.post('/from-template/:templateId', auth, async (req, res) => {
+  const { assigneeId, startDate, projectId } = req.body;
+  
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.templateId)) {
+      return res.status(400).json({ message: 'Invalid template ID format' });
+    }
+    
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const template = await TaskTemplate.findOne({
+      $and: [{ _id: req.params.templateId }, await getTemplateScopeFilter(currentUser)]
+    });
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+    
+    if (!assigneeId) {
+      return res.status(400).json({ message: 'Assignee is required' });
+    }
+    
+    if (!mongoose.Types.ObjectId.isValid(assigneeId)) {
+      return res.status(400).json({ message: 'Invalid assignee ID format' });
+    }
+    
+    // Same assignment rules as POST api/tasks
+    const assignableUsers = await getAssignableUsers(currentUser);
+    const canAssign = assignableUsers.some(user => user._id.toString() === assigneeId);
+    
+    if (!canAssign) {
+      return res.status(403).json({ message: 'You cannot assign tasks to this user' });
+    }
+    
+    const startDateObj = startDate ? new Date(startDate) : new Date();
+    if (isNaN(startDateObj.getTime())) {
+      return res.status(400).json({ message: 'Invalid start date format' });
+    }
+    
+    // Template tags are matched to the catalogue as it is now
+    const tagCheck = await normalizeTags(template.tags);
+    if (tagCheck.error) {
+      return res.status(400).json({ message: tagCheck.error, unknownTags: tagCheck.unknownTags });
+    }
+    
+    let project = null;
+    if (projectId) {
+      const projectCheck = await getTaskProject(projectId, currentUser);
+      if (projectCheck.error) {
+        return res.status(projectCheck.statusCode).json({ message: projectCheck.error });
+      }
+      project = projectCheck.project;
+    }
+    
+    const initialStatus = await getDefaultStatus();
+    if (initialStatus && !(await canCreateInStatus(currentUser, { assigneeId }, initialStatus))) {
+      return res.status(403).json({ message: 'This task needs review, so it cannot be created as completed' });
+    }
+    
+    const statusFields = {
+      status: initialStatus ? initialStatus.key : 'not-started',
+      statusCategory: initialStatus ? initialStatus.category : 'todo',
+      projectId: project ? project._id : null
+    };
+    
+    const createdAt = new Date();
+    const acceptance = getInitialAcceptance(assigneeId, currentUser._id, { now: createdAt });
+    const task = await new Task({
+      title: template.title,
+      description: template.description,
+      assigneeId: assigneeId,
+      targetDate: computeDueDate(startDateObj, template.dueOffset),
+      ...statusFields,
+      priority: template.priority,
+      tags: tagCheck.tags,
+      sla: await computeSlaDeadlines(template.priority, tagCheck.tags, createdAt),
+      createdAt,
+      estimatedMinutes: template.estimatedMinutes !== null ? template.estimatedMinutes : undefined,
+      assignedDate: new Date(),
+      lastUpdated: new Date(),
+      createdBy: currentUser._id,
+      watchers: getInitialWatchers(currentUser._id, assigneeId),
+      acceptance
+    }).save();
+    
+    await recordActivity({
+      taskId: task._id,
+      actorId: currentUser._id,
+      action: 'created',
+      details: { templateId: template._id }
+    });
+    
+    for (const templateSubtask of template.subtasks) {
+      const subtask = await new Task({
+        title: templateSubtask.title,
+        // Tasks require a description, so subtasks without one inherit the template's
+        description: templateSubtask.description || template.description,
+        assigneeId: assigneeId,
+        targetDate: computeDueDate(startDateObj, templateSubtask.dueOffset || template.dueOffset),
+        ...statusFields,
+        priority: template.priority,
+        sla: await computeSlaDeadlines(template.priority, [], createdAt),
+        createdAt,
+        assignedDate: new Date(),
+        lastUpdated: new Date(),
+        createdBy: currentUser._id,
+        watchers: getInitialWatchers(currentUser._id, assigneeId),
+        acceptance,
+        parentTaskId: task._id
+      }).save();
+      
+      await recordActivity({ taskId: subtask._id, actorId: currentUser._id, action: 'created' });
+    }
+    
+    await refreshTaskProgress(task._id);
+    
+    const populatedTask = await Task.findById(task._id)
+      .populate('assigneeId', 'name email')
+      .populate('createdBy', 'name email');
+    
+    setTaskEtag(res, populatedTask);
+    res.status(201).json(populatedTask);
+  } catch (error) {
+    console.error('Task creation from template error:', error);
+    
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ 
+        message: 'Validation error', 
+        errors: errors
+      });
+    }
+    
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   PUT api/tasks/:id
+// @desc    Update a task with permission checks
+// @access  Private
+router.put('/:id', auth, async (req, res) => {
+  const { title, description, assigneeId, targetDate, status, priority, tags, scope, recurrence, estimatedMinutes, projectId, requiresReview } = req.body;
+  
+  try {
+    console.log('=== TASK UPDATE REQUEST ===');
+    console.log('Task ID:', req.params.id);
+    console.log('Request body:', req.body);
+
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid task ID format' });
+    }
+
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    console.log('Current task data:', {
+      taskId: task._id,
+      title: task.title,
+      status: task.status,
+      assigneeId: task.assigneeId,
+      createdBy: task.createdBy
+    });
+
+    console.log('Current user data:', {
+      userId: currentUser._id,
+      role: currentUser.role,
+      name: currentUser.name
+    });
+    
+    // ENHANCED: More comprehensive edit permissions
+    const { canEdit, editReason } = await getEditPermission(currentUser, task);
+    
+    console.log('Edit permission check:', { canEdit, editReason });
+    
+    if (!canEdit) {
+      console.log('Edit denied: No applicable permission rule matched');
+      return res.status(403).json({ 
+        message: 'You cannot edit this task',
+        debug: {
+          userRole: currentUser.role,
+          userId: currentUser._id,
+          taskCreatedBy: task.createdBy,
+          taskAssigneeId: task.assigneeId
+        }
+      });
+    }
+    
+    // Reject edits based on a stale copy of the task (If-Match header or version field)
+    const { expected: expectedVersion, error: versionError } = getExpectedVersion(req);
+    if (versionError) {
+      return res.status(400).json({ message: versionError });
+    }
+    if (!isCurrentVersion(task, expectedVersion)) {
+      return sendVersionConflict(res, task._id, expectedVersion);
+    }
+    
+    // If assignee is being changed, check reassignment permissions
+    if (assigneeId && assigneeId !== task.assigneeId.toString()) {
+      console.log('Checking reassignment permissions...');
+      
+      // Validate new assignee ObjectId format
+      if (!mongoose.Types.ObjectId.isValid(assigneeId)) {
+        return res.status(400).json({ message: 'Invalid new assignee ID format' });
+      }
+
+      const canReassign = canReassignTask(currentUser, task);
+      
+      if (!canReassign) {
+        return res.status(403).json({ message: 'You cannot reassign this task' });
+      }
+      
+      // Validate new assignee exists
+      const newAssignee = await User.findById(assigneeId);
+      if (!newAssignee) {
+        return res.status(400).json({ message: 'New assignee not found' });
+      }
+      
+      // Check if user can assign to the new assignee
+      const assignableUsers = await getAssignableUsers(currentUser);
+      const canAssignToUser = assignableUsers.some(user => user._id.toString() === assigneeId);
+      
+      if (!canAssignToUser) {
+        return res.status(403).json({ message: 'You cannot assign tasks to this user' });
+      }
+    }
+    
+    // Recurring tasks can be edited for this occurrence only or for all future ones
+    const editScope = scope || 'this';
+    if (!['this', 'future'].includes(editScope)) {
+      return res.status(400).json({ message: 'Invalid edit scope. Must be one of: this, future' });
+    }
+    
+    if (editScope === 'future' && !task.seriesId) {
+      return res.status(400).json({ message: 'Only recurring tasks can be edited for future occurrences' });
+    }
+    
+    let recurrenceRule;
+    if (recurrence !== undefined) {
+      if (task.seriesId && editScope !== 'future') {
+        return res.status(400).json({ message: 'Recurrence can only be changed for future occurrences' });
+      }
+      
+      // null stops an existing series
+      if (recurrence !== null) {
+        const { rule, error } = parseRecurrenceRule(recurrence);
+        if (error) {
+          return res.status(400).json({ message: error });
+        }
+        recurrenceRule = rule;
+      }
+    }
+    
+    // Build update object with validation
+    const updateFields = {};
+    
+    if (title !== undefined) {
+      if (title.trim().length === 0) {
+        return res.status(400).json({ message: 'Title cannot be empty' });
+      }
+      updateFields.title = title.trim();
+    }
+    
+    if (description !== undefined) {
+      updateFields.description = description ? description.trim() : '';
+    }
+    
+    if (assigneeId) {
+      updateFields.assigneeId = assigneeId;
+      
+      // A new assignee has to accept the task
+      if (assigneeId !== task.assigneeId.toString()) {
+        updateFields.acceptance = getInitialAcceptance(assigneeId, currentUser._id);
+      }
+    }
+    
+    if (targetDate) {
+      const targetDateObj = new Date(targetDate);
+      if (isNaN(targetDateObj.getTime())) {
+        return res.status(400).json({ message: 'Invalid target date format' });
+      }
+      updateFields.targetDate = targetDateObj;
+    }
+    
+    let targetStatus = null;
+    let reviewTransition = { review: null, reviewRequested: false };
+    if (status) {
+      targetStatus = await getWorkflowStatus(status);
+      if (!targetStatus) {
+        return res.status(400).json({ message: 'Invalid status value' });
+      }
+      
+      // Same transition, blocked-by and review rules as PUT /:id/status
+      if (status !== task.status) {
+        const transition = await checkTransition(task.status, targetStatus.key, currentUser.role);
+        if (!transition.allowed) {
+          return res.status(403).json({ message: transition.message });
+        }
+        
+        if (!(await canLeaveReview(currentUser, task, targetStatus))) {
+          return res.status(403).json({ message: 'Only the task creator or the assignee\'s leaders can review this task' });
+        }
+        
+        const blockers = await getBlockingDependencies(task, targetStatus, currentUser, req.body.overrideDependencies);
+        if (blockers.length > 0) {
+          return res.status(409).json({ 
+            message: 'Task is blocked by incomplete dependencies',
+            blockers
+          });
+        }
+        
+        reviewTransition = await getReviewTransition(task, targetStatus, currentUser);
+        targetStatus = reviewTransition.targetStatus;
+        if (reviewTransition.review) {
+          updateFields.review = reviewTransition.review;
+        }
+        
+        if (!updateFields.acceptance) {
+          Object.assign(updateFields, getImplicitAcceptance(task, currentUser));
+        }
+        
+        // The task goes to the bottom of its new board column
+        if (targetStatus.key !== task.status) {
+          updateFields.rank = await getRankAtEnd(targetStatus.key, task._id);
+        }
+      }
+      
+      updateFields.status = targetStatus.key;
+      updateFields.statusCategory = targetStatus.category;
+    }
+    
+    if (priority) {
+      const validPriorities = ['low', 'medium', 'high', 'urgent'];
+      if (!validPriorities.includes(priority)) {
+        return res.status(400).json({ message: 'Invalid priority value' });
+      }
+      updateFields.priority = priority;
+    }
+    
+    if (tags) {
+      // Match tags to the catalogue (optionally rejecting unknown ones)
+      const tagCheck = await normalizeTags(tags);
+      if (tagCheck.error) {
+        return res.status(400).json({ message: tagCheck.error, unknownTags: tagCheck.unknownTags });
+      }
+      updateFields.tags = tagCheck.tags;
+    }
+    
+    const unsetFields = {};
+    
+    // Deadlines follow the policy of the new priority or tags, still counted from creation
+    if (updateFields.priority !== undefined || updateFields.tags !== undefined) {
+      const slaDeadlines = await computeSlaDeadlines(
+        updateFields.priority || task.priority,
+        updateFields.tags || task.tags,
+        task.createdAt || task.assignedDate
+      );
+      updateFields['sla.policyId'] = slaDeadlines.policyId;
+      updateFields['sla.startBy'] = slaDeadlines.startBy;
+      updateFields['sla.completeBy'] = slaDeadlines.completeBy;
+    }
+    
+    if (targetStatus && status !== task.status) {
+      const slaUpdate = getSlaTransitionUpdate(task, targetStatus.category);
+      Object.assign(updateFields, slaUpdate.set);
+      Object.assign(unsetFields, slaUpdate.unset);
+    }
+    
+    if (estimatedMinutes !== undefined) {
+      const parsedEstimate = parseEstimate(estimatedMinutes);
+      if (parsedEstimate.error) {
+        return res.status(400).json({ message: parsedEstimate.error });
+      }
+      if (parsedEstimate.estimatedMinutes === null) {
+        unsetFields.estimatedMinutes = 1;
+      } else {
+        updateFields.estimatedMinutes = parsedEstimate.estimatedMinutes;
+      }
+    }
+    
+    // The assignee can't decide whether their own work gets reviewed
+    if (requiresReview !== undefined) {
+      const reviewSetting = parseRequiresReview(requiresReview);
+      if (reviewSetting.error) {
+        return res.status(400).json({ message: reviewSetting.error });
+      }
+      const currentSetting = typeof task.requiresReview === 'boolean' ? task.requiresReview : null;
+      if (reviewSetting.requiresReview !== currentSetting) {
+        if (task.assigneeId.toString() === currentUser._id.toString()) {
+          return res.status(403).json({ message: 'You cannot change whether your own task needs review' });
+        }
+        updateFields.requiresReview = reviewSetting.requiresReview;
+      }
+    }
+    
+    // An empty projectId takes the task out of its project
+    if (projectId !== undefined) {
+      if (!projectId) {
+        updateFields.projectId = null;
+      } else if (!task.projectId || task.projectId.toString() !== projectId) {
+        const projectCheck = await getTaskProject(projectId, currentUser);
+        if (projectCheck.error) {
+          return res.status(projectCheck.statusCode).json({ message: projectCheck.error });
+        }
+        updateFields.projectId = projectCheck.project._id;
+      }
+    }
+    
+    updateFields.lastUpdated = new Date();
+    
+    // Handle completion logic, driven by the "done" category of the workflow status
+    const enteringDone = targetStatus && targetStatus.category === 'done' && task.statusCategory !== 'done';
+    const leavingDone = targetStatus && targetStatus.category !== 'done' && task.statusCategory === 'done';
+    if (enteringDone) {
+      updateFields.completedDate = new Date();
+      console.log('Setting completion date');
+    } else if (leavingDone) {
+      unsetFields.completedDate = 1;
+      console.log('Removing completion date');
+    }
+    
+    console.log('Update fields:', updateFields);
+    
+    // Perform the update; a new assignee starts watching the task
+    const updatedTask = await Task.findOneAndUpdate(
+      { _id: req.params.id, ...getVersionCondition(expectedVersion) },
+      {
+        $set: updateFields,
+        $unset: unsetFields,
+        $addToSet: updateFields.assigneeId ? { watchers: updateFields.assigneeId } : {},
+        $inc: { version: 1 }
+      },
+      { 
+        new: true,
+        runValidators: true
+      }
+    )
+      .populate('assigneeId', 'name email')
+      .populate('createdBy', 'name email');
+    
+    // Someone else saved a change since the version check above
+    if (!updatedTask) {
+      return sendVersionConflict(res, req.params.id, expectedVersion || { source: 'body' });
+    }
+    
+    await recordActivity({
+      taskId: updatedTask._id,
+      actorId: currentUser._id,
+      action: 'updated',
+      changes: diffTaskFields(task, updatedTask),
+      details: reviewTransition.review
+        ? { review: reviewTransition.review.state, reason: reviewTransition.review.reason }
+        : undefined
+    });
+    await notifyReviewChange(task, updatedTask, currentUser, reviewTransition);
+    
+    // Subtasks move with their parent
+    if (updateFields.projectId !== undefined) {
+      await Task.updateMany(
+        { parentTaskId: updatedTask._id },
+        { $set: { projectId: updateFields.projectId }, $inc: { version: 1 } }
+      );
+    }
+    
+    // Keep progress in sync for this task and its parent
+    if (status) {
+      updatedTask.progress = await refreshTaskProgress(updatedTask._id);
+      if (updatedTask.parentTaskId) {
+        await refreshTaskProgress(updatedTask.parentTaskId, { bumpVersion: true });
+      }
+    }
+    
+    if (recurrence !== undefined && !task.seriesId && recurrenceRule) {
+      // Turn a one-off task into the first occurrence of a new series
+      const series = await new TaskSeries({
+        rule: recurrenceRule,
+        template: {
+          title: updatedTask.title,
+          description: updatedTask.description,
+          assigneeId: updatedTask.assigneeId._id,
+          priority: updatedTask.priority,
+          tags: updatedTask.tags
+        },
+        createdBy: task.createdBy || currentUser._id
+      }).save();
+      
+      updatedTask.seriesId = series._id;
+      updatedTask.occurrenceIndex = 1;
+      await Task.updateOne({ _id: updatedTask._id }, { $set: { seriesId: series._id, occurrenceIndex: 1 } });
+    } else if (editScope === 'future') {
+      // Carry the changes over to the series template and occurrences already created after this one
+      const templateFields = {};
+      ['title', 'description', 'assigneeId', 'priority', 'tags'].forEach(field => {
+        if (updateFields[field] !== undefined) {
+          templateFields[field] = updateFields[field];
+        }
+      });
+      
+      const seriesUpdate = {};
+      Object.keys(templateFields).forEach(field => {
+        seriesUpdate[`template.${field}`] = templateFields[field];
+      });
+      if (recurrence === null) {
+        seriesUpdate.active = false;
+      } else if (recurrenceRule) {
+        seriesUpdate.rule = recurrenceRule;
+        seriesUpdate.active = true;
+      }
+      
+      if (Object.keys(seriesUpdate).length > 0) {
+        await TaskSeries.updateOne({ _id: task.seriesId }, { $set: seriesUpdate });
+      }
+      
+      if (Object.keys(templateFields).length > 0) {
+        // Occurrences that change hands have to be accepted by their new assignee
+        if (templateFields.assigneeId) {
+          await Task.updateMany(
+            {
+              seriesId: task.seriesId,
+              occurrenceIndex: { $gt: task.occurrenceIndex || 1 },
+              statusCategory: { $ne: 'done' },
+              assigneeId: { $ne: templateFields.assigneeId }
+            },
+            { $set: { acceptance: getInitialAcceptance(templateFields.assigneeId, currentUser._id) }, $inc: { version: 1 } }
+          );
+        }
+        
+        await Task.updateMany(
+          {
+            seriesId: task.seriesId,
+            occurrenceIndex: { $gt: task.occurrenceIndex || 1 },
+            statusCategory: { $ne: 'done' }
+          },
+          { $set: { ...templateFields, lastUpdated: new Date() }, $inc: { version: 1 } }
+        );
+      }
+    }
+    
+    // Completing an occurrence creates the next one
+    if (enteringDone) {
+      await spawnNextOccurrence(updatedTask);
+    }
+    
+    console.log('Task updated successfully:', updatedTask._id);
+    console.log('=== TASK UPDATE SUCCESS ===');
+    
+    setTaskEtag(res, updatedTask);
+    res.json(updatedTask);
+  } catch (error) {
+    console.error('=== TASK UPDATE ERROR ===');
+    console.error('Error details:', error);
+    
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ 
+        message: 'Validation error', 
+        errors: errors
+      });
+    }
+    
+    if (error.name === 'CastError') {
+      return res.status(400).json({ 
+        message: 'Invalid data format',
+        field: error.path
+      });
+    }
+    
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   PUT api/tasks/:id/status
+// @desc    Update task status
 // @access  Private
-router.get('/assignable-users', auth, async (req, res) => {
+router.put('/:id/status', auth, async (req, res) => {
+  try {
+    console.log('=== STATUS UPDATE REQUEST ===');
+    console.log('Task ID:', req.params.id);
+    console.log('New status:', req.body.status);
+
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid task ID format' });
+    }
+
+    const { status } = req.body;
+    const currentUser = await User.findById(req.user.userId);
+    
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    // Validate status against the configured workflow
+    const targetStatus = await getWorkflowStatus(status);
+    if (!targetStatus) {
+      return res.status(400).json({ message: 'Invalid status value' });
+    }
+    
+    const checked = await checkStatusChange(req, res, task, targetStatus, currentUser);
+    if (!checked) {
+      return;
+    }
+    const { expectedVersion } = checked;
+    
+    const updatedTask = await applyStatusChange(task, targetStatus, currentUser, expectedVersion);
+    
+    // Someone else saved a change since the version check above
+    if (!updatedTask) {
+      return sendVersionConflict(res, task._id, expectedVersion || { source: 'body' });
+    }
+    
+    console.log('Status updated successfully:', updatedTask._id, 'to', status);
+    console.log('=== STATUS UPDATE SUCCESS ===');
+    
+    setTaskEtag(res, updatedTask);
+    res.json(updatedTask);
+  } catch (error) {
+    console.error('=== STATUS UPDATE ERROR ===');
+    console.error('Error details:', error);
+    
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ 
+        message: 'Validation error', 
+        errors: errors
+      });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT api/tasks/:id/move
+// @desc    Move a task on the board: change its status and/or its position in the column,
+//          placing it after afterTaskId and/or before beforeTaskId (default: bottom of the column)
+// @access  Private
+router.put('/:id/move', auth, async (req, res) => {
+  try {
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid task ID format' });
+    }
+    
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    // Without a status the task is reordered within its current column
+    const targetStatus = await getWorkflowStatus(req.body.status || task.status);
+    if (!targetStatus) {
+      return res.status(400).json({ message: 'Invalid status value' });
+    }
+    const statusChanged = targetStatus.key !== task.status;
+    
+    // Same checks as PUT /:id/status; reordering alone skips the workflow rules
+    const checked = await checkStatusChange(req, res, task, targetStatus, currentUser, { checkWorkflow: statusChanged });
+    if (!checked) {
+      return;
+    }
+    const { expectedVersion } = checked;
+    
+    const { rank, error } = await getMoveRank(task, targetStatus.key, req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    let updatedTask;
+    if (statusChanged) {
+      updatedTask = await applyStatusChange(task, targetStatus, currentUser, expectedVersion, { rank });
+    } else {
+      updatedTask = await Task.findOneAndUpdate(
+        { _id: task._id, ...getVersionCondition(expectedVersion) },
+        { $set: { rank }, $inc: { version: 1 } },
+        { new: true }
+      )
+        .populate('assigneeId', 'name email')
+        .populate('createdBy', 'name email');
+    }
+    
+    // Someone else saved a change since the version check above
+    if (!updatedTask) {
+      return sendVersionConflict(res, task._id, expectedVersion || { source: 'body' });
+    }
+    
+    setTaskEtag(res, updatedTask);
+    res.json(updatedTask);
+  } catch (error) {
+    console.error('Error moving task:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Helper function to approve or send back a task waiting for review
+const decideReview = async (req, res, approved) => {
+  // Validate ObjectId format
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid task ID format' });
+  }
+  
+  const reason = req.body.reason ? String(req.body.reason).trim() : '';
+  if (!approved && !reason) {
+    return res.status(400).json({ message: 'A reason is required to send a task back' });
+  }
+  
+  const currentUser = await User.findById(req.user.userId);
+  if (!currentUser) {
+    return res.status(404).json({ message: 'User not found' });
+  }
+  
+  const task = await Task.findById(req.params.id);
+  if (!task) {
+    return res.status(404).json({ message: 'Task not found' });
+  }
+  
+  if (task.status !== REVIEW_STATUS_KEY || !task.review || task.review.state !== 'pending') {
+    return res.status(409).json({ message: 'Task is not waiting for review' });
+  }
+  
+  const assignee = await User.findById(task.assigneeId);
+  if (!(await canReviewTask(currentUser, task, assignee))) {
+    return res.status(403).json({ message: 'Only the task creator or the assignee\'s leaders can review this task' });
+  }
+  
+  const targetStatus = await getReviewOutcomeStatus(task, approved);
+  if (!targetStatus) {
+    return res.status(400).json({ message: 'No workflow status to move the task to' });
+  }
+  
+  // The review decides the outcome, so the workflow transition rules don't apply
+  const checked = await checkStatusChange(req, res, task, targetStatus, currentUser, { checkWorkflow: false });
+  if (!checked) {
+    return;
+  }
+  const { expectedVersion } = checked;
+  
+  const updatedTask = await applyStatusChange(task, targetStatus, currentUser, expectedVersion, {
+    reviewReason: reason || null
+  });
+  
+  // Someone else saved a change since the version check above
+  if (!updatedTask) {
+    return sendVersionConflict(res, task._id, expectedVersion || { source: 'body' });
+  }
+  
+  console.log('Task review', approved ? 'approved:' : 'sent back:', updatedTask._id, 'by', currentUser.email);
+  
+  setTaskEtag(res, updatedTask);
+  res.json(updatedTask);
+};
+
+// @route   POST api/tasks/:id/review/approve
+// @desc    Approve a task waiting for review; it moves to the done status the assignee asked
+//          for and gets its completion date (optional reason as a note)
+// @access  Private (task creator, the assignee's supervisor or Super Admin)
+router.post('/:id/review/approve', auth, async (req, res) => {
+  try {
+    await decideReview(req, res, true);
+  } catch (error) {
+    console.error('Error approving task review:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/tasks/:id/review/send-back
+// @desc    Send a task waiting for review back to the status it was completed from, with a reason
+// @access  Private (task creator, the assignee's supervisor or Super Admin)
+router.post('/:id/review/send-back', auth, async (req, res) => {
+  try {
+    await decideReview(req, res, false);
+  } catch (error) {
+    console.error('Error sending task back from review:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/tasks/:id/accept
+// @desc    Accept a task assigned to the current user
+// @access  Private (task assignee)
+router.post('/:id/accept', auth, async (req, res) => {
+  try {
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid task ID format' });
+    }
+    
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    if (task.assigneeId.toString() !== currentUser._id.toString()) {
+      return res.status(403).json({ message: 'Only the assignee can accept this task' });
+    }
+    
+    if (!isAwaitingAcceptance(task)) {
+      return res.status(409).json({ message: 'Task is not awaiting acceptance' });
+    }
+    
+    const updatedTask = await Task.findOneAndUpdate(
+      { _id: task._id, assigneeId: currentUser._id, 'acceptance.state': 'pending' },
+      { $set: { 'acceptance.state': 'accepted', 'acceptance.acceptedAt': new Date() }, $inc: { version: 1 } },
+      { new: true }
+    )
+      .populate('assigneeId', 'name email')
+      .populate('createdBy', 'name email');
+    
+    // The task was reassigned or answered since it was loaded
+    if (!updatedTask) {
+      return res.status(409).json({ message: 'Task is not awaiting acceptance' });
+    }
+    
+    await recordActivity({ taskId: updatedTask._id, actorId: currentUser._id, action: 'accepted' });
+    
+    setTaskEtag(res, updatedTask);
+    res.json(updatedTask);
+  } catch (error) {
+    console.error('Error accepting task:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/tasks/:id/decline
+// @desc    Decline a task assigned to the current user, with a reason; the task goes back to
+//          its creator, who is notified
+// @access  Private (task assignee)
+router.post('/:id/decline', auth, async (req, res) => {
+  try {
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid task ID format' });
+    }
+    
+    const reason = req.body.reason ? String(req.body.reason).trim() : '';
+    if (!reason) {
+      return res.status(400).json({ message: 'A reason is required to decline a task' });
+    }
+    
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    if (task.assigneeId.toString() !== currentUser._id.toString()) {
+      return res.status(403).json({ message: 'Only the assignee can decline this task' });
+    }
+    
+    if (!isAwaitingAcceptance(task)) {
+      return res.status(409).json({ message: 'Task is not awaiting acceptance' });
+    }
+    
+    const now = new Date();
+    const updatedTask = await Task.findOneAndUpdate(
+      { _id: task._id, assigneeId: currentUser._id, 'acceptance.state': 'pending' },
+      {
+        $set: {
+          assigneeId: task.createdBy,
+          acceptance: {
+            state: 'declined',
+            requestedAt: task.acceptance.requestedAt,
+            acceptedAt: null,
+            declinedBy: currentUser._id,
+            declinedAt: now,
+            declineReason: reason
+          },
+          lastUpdated: now
+        },
+        $addToSet: { watchers: task.createdBy },
+        $inc: { version: 1 }
+      },
+      { new: true, runValidators: true }
+    )
+      .populate('assigneeId', 'name email')
+      .populate('createdBy', 'name email');
+    
+    // The task was reassigned or answered since it was loaded
+    if (!updatedTask) {
+      return res.status(409).json({ message: 'Task is not awaiting acceptance' });
+    }
+    
+    await recordActivity({
+      taskId: updatedTask._id,
+      actorId: currentUser._id,
+      action: 'declined',
+      changes: diffTaskFields(task, updatedTask, ['assigneeId']),
+      details: { reason }
+    });
+    await notifyDeclined(updatedTask, currentUser);
+    
+    console.log('Task declined:', updatedTask._id, 'by', currentUser.email);
+    
+    setTaskEtag(res, updatedTask);
+    res.json(updatedTask);
+  } catch (error) {
+    console.error('Error declining task:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE api/tasks/:id
+// @desc    Move a task to the trash (with permission checks)
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
   try {
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid task ID format' });
+    }
+
     const currentUser = await User.findById(req.user.userId);
     if (!currentUser) {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    const assignableUsers = await getAssignableUsers(currentUser);
-    res.json(assignableUsers);
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    // Check delete permissions
+    const canDelete = await canDeleteTask(currentUser, task);
+    
+    if (!canDelete) {
+      return res.status(403).json({ message: 'You cannot delete this task' });
+    }
+    
+    // Subtasks go to the trash together with the task; everything else is kept until it is purged
+    await trashTaskCascade(task, currentUser);
+    
+    res.json({ success: true, message: 'Task moved to trash' });
   } catch (error) {
-    console.error('Error getting assignable users:', error);
-    res.status(500).json({ message: 'Server Error' });
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
-// @route   GET api/tasks
-// @desc    Get tasks based on user role and permissions
-// @access  Private
-router.get('/', auth, async (req, res) => {
+// @route   POST api/tasks/:id/restore
+// @desc    Restore a trashed task together with the subtasks trashed with it
+// @access  Private (users who can delete the task)
+router.post('/:id/restore', auth, async (req, res) => {
   try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid task ID format' });
+    }
+    
     const currentUser = await User.findById(req.user.userId);
     if (!currentUser) {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    let tasks = [];
+    const task = await Task.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found in trash' });
+    }
     
-    switch (currentUser.role) {
-      case 'super_admin':
-        // Super admin can see all tasks
-        tasks = await Task.find()
-          .populate('assigneeId', 'name email')
-          .populate('createdBy', 'name email')
-          .sort({ lastUpdated: -1 });
-        break;
-        
-      case 'manager':
-        // Manager can see tasks assigned to their team
-        const teamMembers = await User.find({
-          $or: [
-            { managerId: currentUser._id },
-            { supervisorId: { $in: await User.find({ managerId: currentUser._id }).distinct('_id') } }
-          ]
-        }).distinct('_id');
-        
-        teamMembers.push(currentUser._id); // Include manager's own tasks
-        
-        tasks = await Task.find({ 
-          assigneeId: { $in: teamMembers } 
-        })
-          .populate('assigneeId', 'name email')
-          .populate('createdBy', 'name email')
-          .sort({ lastUpdated: -1 });
-        break;
-        
-      case 'supervisor':
-        // Supervisor can see their tasks and their team members' tasks
-        const supervisorTeam = await User.find({ 
-          supervisorId: currentUser._id 
-        }).distinct('_id');
-        
-        supervisorTeam.push(currentUser._id); // Include supervisor's own tasks
-        
-        tasks = await Task.find({ 
-          assigneeId: { $in: supervisorTeam } 
-        })
-          .populate('assigneeId', 'name email')
-          .populate('createdBy', 'name email')
-          .sort({ lastUpdated: -1 });
-        break;
-        
-      case 'member':
-        // Member can only see their own tasks
-        tasks = await Task.find({ 
-          assigneeId: currentUser._id 
-        })
-          .populate('assigneeId', 'name email')
-          .populate('createdBy', 'name email')
-          .sort({ lastUpdated: -1 });
-        break;
-        
-      default:
-        tasks = [];
+    if (!(await canDeleteTask(currentUser, task))) {
+      return res.status(403).json({ message: 'You cannot restore this task' });
+    }
+    
+    if (task.parentTaskId) {
+      const parentTask = await Task.findById(task.parentTaskId);
+      if (!parentTask) {
+        return res.status(400).json({ message: 'Restore the parent task first' });
+      }
+    }
+    
+    const { subtasksRestored } = await restoreTask(task);
+    
+    await recordActivity({
+      taskId: task._id,
+      actorId: currentUser._id,
+      action: 'restored',
+      details: { subtasksRestored }
+    });
+    
+    if (task.parentTaskId) {
+      await refreshTaskProgress(task.parentTaskId, { bumpVersion: true });
     }
     
-    res.json(tasks);
+    const restoredTask = await Task.findById(task._id)
+      .populate('assigneeId', 'name email')
+      .populate('createdBy', 'name email');
+    
+    res.json(restoredTask);
   } catch (error) {
-    console.error('Error fetching tasks:', error);
-    res.status(500).json({ message: 'Server Error' });
+    console.error('Error restoring task:', error);
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
-// @route   GET api/tasks/:id
-// @desc    Get task by ID (with permission check)
+// @route   GET api/tasks/:id/subtasks
+// @desc    Get subtasks of a task visible to the current user
 // @access  Private
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id/subtasks', auth, async (req, res) => {
   try {
-    // Validate ObjectId format
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(400).json({ message: 'Invalid task ID format' });
     }
-
-    const task = await Task.findById(req.params.id)
-      .populate('assigneeId', 'name email')
-      .populate('createdBy', 'name email');
     
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const task = await Task.findById(req.params.id);
     if (!task) {
       return res.status(404).json({ message: 'Task not found' });
     }
     
-    const currentUser = await User.findById(req.user.userId);
-    
-    // Check if user has permission to view this task
-    let hasPermission = false;
-    
-    if (currentUser.role === 'super_admin') {
-      hasPermission = true;
-    } else if (currentUser.role === 'manager') {
-      // Manager can view tasks of their team
-      hasPermission = await isUserInManagerTeam(task.assigneeId._id, currentUser._id.toString());
-      // Also allow if manager created the task
-      if (task.createdBy && task.createdBy._id.toString() === currentUser._id.toString()) {
-        hasPermission = true;
-      }
-    } else if (currentUser.role === 'supervisor') {
-      // Supervisor can view their own tasks and their team's tasks
-      if (task.assigneeId._id.toString() === currentUser._id.toString()) {
-        hasPermission = true;
-      } else {
-        const teamMember = await User.findById(task.assigneeId._id);
-        if (teamMember && teamMember.supervisorId && teamMember.supervisorId.toString() === currentUser._id.toString()) {
-          hasPermission = true;
-        }
-      }
-    } else if (currentUser.role === 'member') {
-      // Member can only view their own tasks
-      hasPermission = task.assigneeId._id.toString() === currentUser._id.toString();
+    if (!(await canViewTask(currentUser, task))) {
+      return res.status(403).json({ message: 'Access denied' });
     }
     
-    if (!hasPermission) {
-      return res.status(403).json({ message: 'Access denied' });
+    const children = await Task.find({ parentTaskId: task._id })
+      .populate('assigneeId', 'name email')
+      .populate('createdBy', 'name email')
+      .sort({ targetDate: 1 });
+    
+    const subtasks = [];
+    for (const child of children) {
+      if (await canViewTask(currentUser, child)) {
+        subtasks.push(child);
+      }
     }
     
-    res.json(task);
+    res.json(subtasks);
   } catch (error) {
-    console.error(error);
-    if (error.kind === 'ObjectId') {
-      return res.status(404).json({ message: 'Task not found' });
-    }
+    console.error('Error fetching subtasks:', error);
     res.status(500).json({ message: 'Server Error' });
   }
 });
 
-// @route   POST api/tasks
-// @desc    Create a task with permission checks
+// @route   POST api/tasks/:id/subtasks
+// @desc    Create a subtask under a task
 // @access  Private
-router.post('/', auth, async (req, res) => {
+router.post('/:id/subtasks', auth, async (req, res) => {
   const { title, description, assigneeId, targetDate, status, priority, tags } = req.body;
   
   try {
-    console.log('Creating task with data:', req.body);
-
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid task ID format' });
+    }
+    
     const currentUser = await User.findById(req.user.userId);
     if (!currentUser) {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    // Validate required fields
-    if (!title || !assigneeId || !targetDate) {
-      return res.status(400).json({ message: 'Title, assignee, and target date are required' });
+    const parentTask = await Task.findById(req.params.id);
+    if (!parentTask) {
+      return res.status(404).json({ message: 'Task not found' });
     }
     
-    // Validate ObjectId format for assigneeId
-    if (!mongoose.Types.ObjectId.isValid(assigneeId)) {
-      return res.status(400).json({ message: 'Invalid assignee ID format' });
+    // Subtasks are limited to a single level
+    if (parentTask.parentTaskId) {
+      return res.status(400).json({ message: 'Subtasks cannot have their own subtasks' });
     }
-
-    // Validate assignee
-    const assignee = await User.findById(assigneeId);
-    if (!assignee) {
-      return res.status(400).json({ message: 'Assignee not found' });
+    
+    const { canEdit } = await getEditPermission(currentUser, parentTask);
+    if (!canEdit) {
+      return res.status(403).json({ message: 'You cannot add subtasks to this task' });
     }
     
-    // Check if current user can assign to this user
-    const assignableUsers = await getAssignableUsers(currentUser);
-    const canAssign = assignableUsers.some(user => user._id.toString() === assigneeId);
+    if (!title || title.trim().length === 0) {
+      return res.status(400).json({ message: 'Title is required' });
+    }
     
+    // Subtasks default to the parent's assignee and target date
+    const subtaskAssigneeId = assigneeId || parentTask.assigneeId.toString();
+    if (!mongoose.Types.ObjectId.isValid(subtaskAssigneeId)) {
+      return res.status(400).json({ message: 'Invalid assignee ID format' });
+    }
+    
+    const assignableUsers = await getAssignableUsers(currentUser);
+    const canAssign = assignableUsers.some(user => user._id.toString() === subtaskAssigneeId);
     if (!canAssign) {
       return res.status(403).json({ message: 'You cannot assign tasks to this user' });
     }
     
-    // Validate date format
-    const targetDateObj = new Date(targetDate);
+    const targetDateObj = targetDate ? new Date(targetDate) : parentTask.targetDate;
     if (isNaN(targetDateObj.getTime())) {
       return res.status(400).json({ message: 'Invalid target date format' });
     }
-
-    const newTask = new Task({
+    
+    const initialStatus = status ? await getWorkflowStatus(status) : await getDefaultStatus();
+    if (!initialStatus) {
+      return res.status(400).json({ message: 'Invalid status value' });
+    }
+    
+    if (!(await canCreateInStatus(currentUser, { assigneeId: subtaskAssigneeId }, initialStatus))) {
+      return res.status(403).json({ message: 'This task needs review, so it cannot be created as completed' });
+    }
+    
+    const tagCheck = await normalizeTags(tags);
+    if (tagCheck.error) {
+      return res.status(400).json({ message: tagCheck.error, unknownTags: tagCheck.unknownTags });
+    }
+    
+    // SLA deadlines run from creation, as for POST api/tasks
+    const createdAt = new Date();
+    const subtaskPriority = priority || parentTask.priority;
+    const slaDeadlines = await computeSlaDeadlines(subtaskPriority, tagCheck.tags, createdAt);
+    const sla = {
+      ...slaDeadlines,
+      startedAt: ['doing', 'done'].includes(initialStatus.category) ? createdAt : null,
+      completedAt: initialStatus.category === 'done' ? createdAt : null
+    };
+    
+    const newSubtask = new Task({
       title: title.trim(),
       description: description ? description.trim() : '',
-      assigneeId: assigneeId,
+      assigneeId: subtaskAssigneeId,
       targetDate: targetDateObj,
-      status: status || 'not-started',
-      priority: priority || 'medium',
-      tags: tags || [],
+      status: initialStatus.key,
+      statusCategory: initialStatus.category,
+      completedDate: initialStatus.category === 'done' ? new Date() : undefined,
+      priority: subtaskPriority,
+      tags: tagCheck.tags,
+      sla,
+      createdAt,
       assignedDate: new Date(),
       lastUpdated: new Date(),
-      createdBy: currentUser._id
+      createdBy: currentUser._id,
+      watchers: getInitialWatchers(currentUser._id, subtaskAssigneeId),
+      acceptance: getInitialAcceptance(subtaskAssigneeId, currentUser._id),
+      // Subtasks belong to their parent's project
+      projectId: parentTask.projectId || null,
+      parentTaskId: parentTask._id
     });
     
-    console.log('Saving new task:', newTask);
-    const task = await newTask.save();
-    console.log('Task saved successfully:', task._id);
+    const subtask = await newSubtask.save();
+    await recordActivity({ taskId: subtask._id, actorId: currentUser._id, action: 'created' });
+    await recordActivity({
+      taskId: parentTask._id,
+      actorId: currentUser._id,
+      action: 'subtask_added',
+      details: { subtaskId: subtask._id, title: subtask.title }
+    });
+    await refreshTaskProgress(subtask._id);
+    await refreshTaskProgress(parentTask._id, { bumpVersion: true });
     
-    const populatedTask = await Task.findById(task._id)
+    const populatedSubtask = await Task.findById(subtask._id)
       .populate('assigneeId', 'name email')
       .populate('createdBy', 'name email');
     
-    res.status(201).json(populatedTask);
+    setTaskEtag(res, populatedSubtask);
+    res.status(201).json(populatedSubtask);
   } catch (error) {
-    console.error('Task creation error:', error);
+    console.error('Subtask creation error:', error);
     
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => err.message);
@@ -353,273 +2255,214 @@ router.post('/', auth, async (req, res) => {
   }
 });
 
-// @route   PUT api/tasks/:id
-// @desc    Update a task with permission checks
+// @route   DELETE api/tasks/:id/subtasks/:subtaskId
+// @desc    Move a subtask to the trash
 // @access  Private
-router.put('/:id', auth, async (req, res) => {
-  const { title, description, assigneeId, targetDate, status, priority, tags } = req.body;
-  
+router.delete('/:id/subtasks/:subtaskId', auth, async (req, res) => {
   try {
-    console.log('=== TASK UPDATE REQUEST ===');
-    console.log('Task ID:', req.params.id);
-    console.log('Request body:', req.body);
-
-    // Validate ObjectId format
-    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !mongoose.Types.ObjectId.isValid(req.params.subtaskId)) {
       return res.status(400).json({ message: 'Invalid task ID format' });
     }
-
+    
     const currentUser = await User.findById(req.user.userId);
     if (!currentUser) {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    const task = await Task.findById(req.params.id);
-    if (!task) {
+    const parentTask = await Task.findById(req.params.id);
+    if (!parentTask) {
       return res.status(404).json({ message: 'Task not found' });
     }
     
-    console.log('Current task data:', {
-      taskId: task._id,
-      title: task.title,
-      status: task.status,
-      assigneeId: task.assigneeId,
-      createdBy: task.createdBy
-    });
-
-    console.log('Current user data:', {
-      userId: currentUser._id,
-      role: currentUser.role,
-      name: currentUser.name
-    });
-    
-    // ENHANCED: More comprehensive edit permissions
-    let canEdit = false;
-    let editReason = '';
-    
-    // Rule 1: Creator can edit
-    if (task.createdBy && task.createdBy.toString() === currentUser._id.toString()) {
-      canEdit = true;
-      editReason = 'User is task creator';
-    }
-    
-    // Rule 2: Current assignee can edit (if they're supervisor or higher)
-    else if (task.assigneeId.toString() === currentUser._id.toString() && 
-        ['supervisor', 'manager', 'super_admin'].includes(currentUser.role)) {
-      canEdit = true;
-      editReason = 'User is task assignee with appropriate role';
-    }
-    
-    // Rule 3: Manager can edit tasks of their team
-    else if (currentUser.role === 'manager') {
-      const isTeamTask = await isUserInManagerTeam(task.assigneeId.toString(), currentUser._id.toString());
-      if (isTeamTask) {
-        canEdit = true;
-        editReason = 'Manager editing team task';
-      }
-    }
-    
-    // Rule 4: Supervisor can edit tasks assigned to their team members
-    else if (currentUser.role === 'supervisor') {
-      const taskAssignee = await User.findById(task.assigneeId);
-      if (taskAssignee && taskAssignee.supervisorId && 
-          taskAssignee.supervisorId.toString() === currentUser._id.toString()) {
-        canEdit = true;
-        editReason = 'Supervisor editing team member task';
-      }
-    }
-    
-    // Rule 5: Super admin can edit any task
-    else if (currentUser.role === 'super_admin') {
-      canEdit = true;
-      editReason = 'Super admin';
+    const subtask = await Task.findOne({ _id: req.params.subtaskId, parentTaskId: parentTask._id });
+    if (!subtask) {
+      return res.status(404).json({ message: 'Subtask not found' });
     }
     
-    console.log('Edit permission check:', { canEdit, editReason });
-    
+    const { canEdit } = await getEditPermission(currentUser, parentTask);
     if (!canEdit) {
-      console.log('Edit denied: No applicable permission rule matched');
-      return res.status(403).json({ 
-        message: 'You cannot edit this task',
-        debug: {
-          userRole: currentUser.role,
-          userId: currentUser._id,
-          taskCreatedBy: task.createdBy,
-          taskAssigneeId: task.assigneeId
-        }
-      });
+      return res.status(403).json({ message: 'You cannot remove subtasks from this task' });
     }
     
-    // If assignee is being changed, check reassignment permissions
-    if (assigneeId && assigneeId !== task.assigneeId.toString()) {
-      console.log('Checking reassignment permissions...');
-      
-      // Validate new assignee ObjectId format
-      if (!mongoose.Types.ObjectId.isValid(assigneeId)) {
-        return res.status(400).json({ message: 'Invalid new assignee ID format' });
-      }
+    await trashTask(subtask, currentUser);
+    await recordActivity({
+      taskId: parentTask._id,
+      actorId: currentUser._id,
+      action: 'subtask_removed',
+      details: { subtaskId: subtask._id, title: subtask.title }
+    });
+    const progress = await refreshTaskProgress(parentTask._id, { bumpVersion: true });
+    
+    res.json({ success: true, message: 'Subtask moved to trash', progress });
+  } catch (error) {
+    console.error('Error deleting subtask:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-      let canReassign = false;
-      
-      // Rule 1: Creator can reassign
-      if (task.createdBy && task.createdBy.toString() === currentUser._id.toString()) {
-        canReassign = true;
-      }
-      
-      // Rule 2: Current assignee can reassign (if they're supervisor or higher)
-      if (task.assigneeId.toString() === currentUser._id.toString() && 
-          ['supervisor', 'manager', 'super_admin'].includes(currentUser.role)) {
-        canReassign = true;
-      }
-      
-      // Rule 3: Manager can reassign
-      if (currentUser.role === 'manager') {
-        canReassign = true;
-      }
-      
-      // Rule 4: Super admin can reassign
-      if (currentUser.role === 'super_admin') {
-        canReassign = true;
-      }
-      
-      if (!canReassign) {
-        return res.status(403).json({ message: 'You cannot reassign this task' });
-      }
-      
-      // Validate new assignee exists
-      const newAssignee = await User.findById(assigneeId);
-      if (!newAssignee) {
-        return res.status(400).json({ message: 'New assignee not found' });
-      }
-      
-      // Check if user can assign to the new assignee
-      const assignableUsers = await getAssignableUsers(currentUser);
-      const canAssignToUser = assignableUsers.some(user => user._id.toString() === assigneeId);
-      
-      if (!canAssignToUser) {
-        return res.status(403).json({ message: 'You cannot assign tasks to this user' });
-      }
+// @route   GET api/tasks/:id/checklist
+// @desc    Get checklist items of a task
+// @access  Private
+router.get('/:id/checklist', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid task ID format' });
     }
     
-    // Build update object with validation
-    const updateFields = {};
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
     
-    if (title !== undefined) {
-      if (title.trim().length === 0) {
-        return res.status(400).json({ message: 'Title cannot be empty' });
-      }
-      updateFields.title = title.trim();
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
     }
     
-    if (description !== undefined) {
-      updateFields.description = description ? description.trim() : '';
+    if (!(await canViewTask(currentUser, task))) {
+      return res.status(403).json({ message: 'Access denied' });
     }
     
-    if (assigneeId) {
-      updateFields.assigneeId = assigneeId;
+    res.json({ checklist: task.checklist, progress: task.progress });
+  } catch (error) {
+    console.error('Error fetching checklist:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   POST api/tasks/:id/checklist
+// @desc    Add a checklist item to a task
+// @access  Private
+router.post('/:id/checklist', auth, async (req, res) => {
+  const { text } = req.body;
+  
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid task ID format' });
     }
     
-    if (targetDate) {
-      const targetDateObj = new Date(targetDate);
-      if (isNaN(targetDateObj.getTime())) {
-        return res.status(400).json({ message: 'Invalid target date format' });
-      }
-      updateFields.targetDate = targetDateObj;
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
     }
     
-    if (status) {
-      const validStatuses = ['not-started', 'in-progress', 'completed'];
-      if (!validStatuses.includes(status)) {
-        return res.status(400).json({ message: 'Invalid status value' });
-      }
-      updateFields.status = status;
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
     }
     
-    if (priority) {
-      const validPriorities = ['low', 'medium', 'high', 'urgent'];
-      if (!validPriorities.includes(priority)) {
-        return res.status(400).json({ message: 'Invalid priority value' });
-      }
-      updateFields.priority = priority;
+    const { canEdit } = await getEditPermission(currentUser, task);
+    if (!canEdit) {
+      return res.status(403).json({ message: 'You cannot edit this task' });
     }
     
-    if (tags) {
-      updateFields.tags = Array.isArray(tags) ? tags : [];
+    if (!text || text.trim().length === 0) {
+      return res.status(400).json({ message: 'Checklist item text is required' });
     }
     
-    updateFields.lastUpdated = new Date();
+    task.checklist.push({ text: text.trim() });
+    task.lastUpdated = new Date();
+    task.$inc('version', 1);
+    await task.save();
     
-    // Handle completion logic
-    if (status === 'completed' && task.status !== 'completed') {
-      updateFields.completedDate = new Date();
-      console.log('Setting completion date');
-    } else if (status && status !== 'completed' && task.status === 'completed') {
-      updateFields.completedDate = undefined;
-      console.log('Removing completion date');
+    const addedItem = task.checklist[task.checklist.length - 1];
+    await recordActivity({
+      taskId: task._id,
+      actorId: currentUser._id,
+      action: 'checklist_item_added',
+      details: { itemId: addedItem._id, text: addedItem.text }
+    });
+    const progress = await refreshTaskProgress(task._id);
+    
+    res.status(201).json({
+      item: addedItem,
+      checklist: task.checklist,
+      progress
+    });
+  } catch (error) {
+    console.error('Error adding checklist item:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   PUT api/tasks/:id/checklist/:itemId
+// @desc    Update or tick off a checklist item
+// @access  Private
+router.put('/:id/checklist/:itemId', auth, async (req, res) => {
+  const { text, completed } = req.body;
+  
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid task ID format' });
     }
     
-    console.log('Update fields:', updateFields);
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
     
-    // Perform the update
-    const updatedTask = await Task.findByIdAndUpdate(
-      req.params.id,
-      { $set: updateFields, $unset: updateFields.completedDate === undefined ? { completedDate: 1 } : {} },
-      { 
-        new: true,
-        runValidators: true
-      }
-    )
-      .populate('assigneeId', 'name email')
-      .populate('createdBy', 'name email');
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
     
-    if (!updatedTask) {
-      return res.status(404).json({ message: 'Task not found after update' });
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Checklist item not found' });
     }
     
-    console.log('Task updated successfully:', updatedTask._id);
-    console.log('=== TASK UPDATE SUCCESS ===');
+    // Assignee can tick items off; only editors can change the text
+    const isAssignee = task.assigneeId.toString() === currentUser._id.toString();
+    const { canEdit } = await getEditPermission(currentUser, task);
+    if (!canEdit && !(isAssignee && text === undefined)) {
+      return res.status(403).json({ message: 'You cannot edit this checklist item' });
+    }
     
-    res.json(updatedTask);
-  } catch (error) {
-    console.error('=== TASK UPDATE ERROR ===');
-    console.error('Error details:', error);
+    const itemBefore = { text: item.text, completed: item.completed };
     
-    if (error.name === 'ValidationError') {
-      const errors = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json({ 
-        message: 'Validation error', 
-        errors: errors
-      });
+    if (text !== undefined) {
+      if (text.trim().length === 0) {
+        return res.status(400).json({ message: 'Checklist item text cannot be empty' });
+      }
+      item.text = text.trim();
     }
     
-    if (error.name === 'CastError') {
-      return res.status(400).json({ 
-        message: 'Invalid data format',
-        field: error.path
-      });
+    if (completed !== undefined) {
+      item.completed = !!completed;
+      item.completedBy = item.completed ? currentUser._id : undefined;
+      item.completedAt = item.completed ? new Date() : undefined;
     }
     
+    task.lastUpdated = new Date();
+    task.$inc('version', 1);
+    await task.save();
+    
+    await recordActivity({
+      taskId: task._id,
+      actorId: currentUser._id,
+      action: 'checklist_item_updated',
+      changes: diffTaskFields(itemBefore, item, ['text', 'completed']),
+      details: { itemId: item._id }
+    });
+    const progress = await refreshTaskProgress(task._id);
+    
+    res.json({ item, checklist: task.checklist, progress });
+  } catch (error) {
+    console.error('Error updating checklist item:', error);
     res.status(500).json({ message: 'Server Error' });
   }
 });
 
-// @route   PUT api/tasks/:id/status
-// @desc    Update task status
+// @route   DELETE api/tasks/:id/checklist/:itemId
+// @desc    Remove a checklist item
 // @access  Private
-router.put('/:id/status', auth, async (req, res) => {
+router.delete('/:id/checklist/:itemId', auth, async (req, res) => {
   try {
-    console.log('=== STATUS UPDATE REQUEST ===');
-    console.log('Task ID:', req.params.id);
-    console.log('New status:', req.body.status);
-
-    // Validate ObjectId format
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(400).json({ message: 'Invalid task ID format' });
     }
-
-    const { status } = req.body;
-    const currentUser = await User.findById(req.user.userId);
     
+    const currentUser = await User.findById(req.user.userId);
     if (!currentUser) {
       return res.status(404).json({ message: 'User not found' });
     }
@@ -629,111 +2472,156 @@ router.put('/:id/status', auth, async (req, res) => {
       return res.status(404).json({ message: 'Task not found' });
     }
     
-    // Validate status
-    const validStatuses = ['not-started', 'in-progress', 'completed'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ message: 'Invalid status value' });
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Checklist item not found' });
     }
     
-    // Check if user can update this task's status
-    let canUpdate = false;
-    let updateReason = '';
-    
-    // Task assignee can update status
-    if (task.assigneeId.toString() === currentUser._id.toString()) {
-      canUpdate = true;
-      updateReason = 'User is task assignee';
+    const { canEdit } = await getEditPermission(currentUser, task);
+    if (!canEdit) {
+      return res.status(403).json({ message: 'You cannot edit this task' });
     }
     
-    // Task creator can update status
-    else if (task.createdBy && task.createdBy.toString() === currentUser._id.toString()) {
-      canUpdate = true;
-      updateReason = 'User is task creator';
+    item.deleteOne();
+    task.lastUpdated = new Date();
+    task.$inc('version', 1);
+    await task.save();
+    
+    await recordActivity({
+      taskId: task._id,
+      actorId: currentUser._id,
+      action: 'checklist_item_removed',
+      details: { itemId: item._id, text: item.text }
+    });
+    const progress = await refreshTaskProgress(task._id);
+    
+    res.json({ success: true, checklist: task.checklist, progress });
+  } catch (error) {
+    console.error('Error deleting checklist item:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/tasks/:id/dependencies
+// @desc    Mark a task as blocked by another task
+// @access  Private
+router.post('/:id/dependencies', auth, async (req, res) => {
+  const { blockedBy } = req.body;
+  
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid task ID format' });
     }
     
-    // Manager can update status of team tasks
-    else if (currentUser.role === 'manager') {
-      const isTeamTask = await isUserInManagerTeam(task.assigneeId.toString(), currentUser._id.toString());
-      if (isTeamTask) {
-        canUpdate = true;
-        updateReason = 'Manager updating team task status';
-      }
+    if (!blockedBy || !mongoose.Types.ObjectId.isValid(blockedBy)) {
+      return res.status(400).json({ message: 'Invalid blocking task ID format' });
     }
     
-    // Supervisor can update status of their team's tasks
-    else if (currentUser.role === 'supervisor') {
-      const taskAssignee = await User.findById(task.assigneeId);
-      if (taskAssignee && taskAssignee.supervisorId && 
-          taskAssignee.supervisorId.toString() === currentUser._id.toString()) {
-        canUpdate = true;
-        updateReason = 'Supervisor updating team task status';
-      }
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
     }
     
-    // Super admin can update any task
-    else if (currentUser.role === 'super_admin') {
-      canUpdate = true;
-      updateReason = 'Super admin';
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
     }
     
-    console.log('Status update permission check:', { canUpdate, updateReason });
+    const blocker = await Task.findById(blockedBy);
+    if (!blocker) {
+      return res.status(404).json({ message: 'Blocking task not found' });
+    }
     
-    if (!canUpdate) {
-      return res.status(403).json({ message: 'You cannot update this task status' });
+    const { canEdit } = await getEditPermission(currentUser, task);
+    if (!canEdit || !(await canViewTask(currentUser, blocker))) {
+      return res.status(403).json({ message: 'You cannot link these tasks' });
     }
     
-    // Build update object
-    const updateFields = {
-      status,
-      lastUpdated: new Date()
-    };
+    if (task.blockedBy.some(id => id.toString() === blockedBy)) {
+      return res.status(400).json({ message: 'Dependency already exists' });
+    }
     
-    // Handle completion date
-    if (status === 'completed' && task.status !== 'completed') {
-      updateFields.completedDate = new Date();
-    } else if (status !== 'completed' && task.status === 'completed') {
-      // Remove completion date when moving away from completed
-      updateFields.$unset = { completedDate: 1 };
+    if (await createsDependencyCycle(task._id, blocker._id)) {
+      return res.status(400).json({ message: 'Dependency would create a cycle' });
     }
     
-    const updatedTask = await Task.findByIdAndUpdate(
-      req.params.id,
-      updateFields,
-      { new: true, runValidators: true }
-    )
-      .populate('assigneeId', 'name email')
-      .populate('createdBy', 'name email');
+    task.blockedBy.push(blocker._id);
+    task.lastUpdated = new Date();
+    task.$inc('version', 1);
+    await task.save();
     
-    console.log('Status updated successfully:', updatedTask._id, 'to', status);
-    console.log('=== STATUS UPDATE SUCCESS ===');
+    await recordActivity({
+      taskId: task._id,
+      actorId: currentUser._id,
+      action: 'dependency_added',
+      details: { blockedBy: blocker._id, title: blocker.title }
+    });
     
-    res.json(updatedTask);
+    const dependencies = await getTaskDependencies(task, currentUser);
+    res.status(201).json(dependencies);
   } catch (error) {
-    console.error('=== STATUS UPDATE ERROR ===');
-    console.error('Error details:', error);
+    console.error('Error adding dependency:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   DELETE api/tasks/:id/dependencies/:blockerId
+// @desc    Remove a blocked-by link from a task
+// @access  Private
+router.delete('/:id/dependencies/:blockerId', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !mongoose.Types.ObjectId.isValid(req.params.blockerId)) {
+      return res.status(400).json({ message: 'Invalid task ID format' });
+    }
     
-    if (error.name === 'ValidationError') {
-      const errors = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json({ 
-        message: 'Validation error', 
-        errors: errors
-      });
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    const { canEdit } = await getEditPermission(currentUser, task);
+    if (!canEdit) {
+      return res.status(403).json({ message: 'You cannot edit this task' });
     }
     
+    if (!task.blockedBy.some(id => id.toString() === req.params.blockerId)) {
+      return res.status(404).json({ message: 'Dependency not found' });
+    }
+    
+    task.blockedBy.pull(req.params.blockerId);
+    task.lastUpdated = new Date();
+    task.$inc('version', 1);
+    await task.save();
+    
+    await recordActivity({
+      taskId: task._id,
+      actorId: currentUser._id,
+      action: 'dependency_removed',
+      details: { blockedBy: req.params.blockerId }
+    });
+    
+    const dependencies = await getTaskDependencies(task, currentUser);
+    res.json(dependencies);
+  } catch (error) {
+    console.error('Error removing dependency:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// @route   DELETE api/tasks/:id
-// @desc    Delete a task with permission checks
+// @route   GET api/tasks/:id/history
+// @desc    Get the activity history of a task
 // @access  Private
-router.delete('/:id', auth, async (req, res) => {
+router.get('/:id/history', auth, async (req, res) => {
   try {
-    // Validate ObjectId format
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(400).json({ message: 'Invalid task ID format' });
     }
-
+    
     const currentUser = await User.findById(req.user.userId);
     if (!currentUser) {
       return res.status(404).json({ message: 'User not found' });
@@ -744,41 +2632,24 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Task not found' });
     }
     
-    // Check delete permissions
-    let canDelete = false;
-    
-    // Rule 1: Manager can delete tasks created by them or their team
-    if (currentUser.role === 'manager') {
-      if (task.createdBy && task.createdBy.toString() === currentUser._id.toString()) {
-        canDelete = true; // Manager created the task
-      } else {
-        // Check if task is from manager's team
-        const isTeamTask = await isUserInManagerTeam(task.assigneeId.toString(), currentUser._id.toString());
-        if (isTeamTask) {
-          canDelete = true;
-        }
-      }
-    }
-    
-    // Rule 2: Super admin can delete any task
-    if (currentUser.role === 'super_admin') {
-      canDelete = true;
+    if (!(await canViewTask(currentUser, task))) {
+      return res.status(403).json({ message: 'Access denied' });
     }
     
-    if (!canDelete) {
-      return res.status(403).json({ message: 'You cannot delete this task' });
-    }
+    const history = await TaskActivity.find({ taskId: task._id })
+      .populate('actorId', 'name email')
+      .sort({ createdAt: -1 });
     
-    await Task.findByIdAndDelete(req.params.id);
-    res.json({ success: true, message: 'Task deleted successfully' });
+    res.json(history);
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
+    console.error('Error fetching task history:', error);
+    res.status(500).json({ message: 'Server Error' });
   }
 });
 
 // @route   GET api/tasks/user/:userId
-// @desc    Get tasks for a specific user (with permission check)
+// @desc    Get tasks for a specific user (with permission check);
+//          accepts the same filter, sort and pagination parameters as GET api/tasks
 // @access  Private
 router.get('/user/:userId', auth, async (req, res) => {
   try {
@@ -791,31 +2662,19 @@ router.get('/user/:userId', auth, async (req, res) => {
     const targetUserId = req.params.userId;
     
     // Check if current user can view tasks of target user
-    let canView = false;
-    
-    if (currentUser.role === 'super_admin') {
-      canView = true;
-    } else if (currentUser._id.toString() === targetUserId) {
-      canView = true; // Can view own tasks
-    } else if (currentUser.role === 'manager') {
-      canView = await isUserInManagerTeam(targetUserId, currentUser._id.toString());
-    } else if (currentUser.role === 'supervisor') {
-      const targetUser = await User.findById(targetUserId);
-      if (targetUser && targetUser.supervisorId && targetUser.supervisorId.toString() === currentUser._id.toString()) {
-        canView = true;
-      }
-    }
+    const canView = await canViewUserTasks(currentUser, targetUserId);
     
     if (!canView) {
       return res.status(403).json({ message: 'Access denied' });
     }
     
-    const tasks = await Task.find({ assigneeId: targetUserId })
-      .populate('assigneeId', 'name email')
-      .populate('createdBy', 'name email')
-      .sort({ lastUpdated: -1 });
+    const { listQuery, error } = parseTaskListQuery(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
     
-    res.json(tasks);
+    const result = await findTasks({ assigneeId: new mongoose.Types.ObjectId(targetUserId) }, listQuery);
+    sendTaskList(res, result);
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server Error' });
@@ -823,39 +2682,123 @@ router.get('/user/:userId', auth, async (req, res) => {
 });
 
 // @route   GET api/tasks/team/:userId
-// @desc    Get tasks for a team (based on user's role)
+// @desc    Get tasks for a team (based on user's role);
+//          accepts the same filter, sort and pagination parameters as GET api/tasks
 // @access  Private
 router.get('/team/:userId', auth, async (req, res) => {
   try {
     const currentUser = await User.findById(req.user.userId);
-    let teamMemberIds = [];
+    const teamMemberIds = await getTeamMemberIds(currentUser);
     
-    if (currentUser.role === 'manager') {
-      // Get all users under this manager
-      const directReports = await User.find({ managerId: currentUser._id }).distinct('_id');
-      const supervisors = await User.find({ managerId: currentUser._id, role: 'supervisor' }).distinct('_id');
-      const indirectReports = await User.find({ supervisorId: { $in: supervisors } }).distinct('_id');
-      
-      teamMemberIds = [...directReports, ...indirectReports, currentUser._id];
-    } else if (currentUser.role === 'supervisor') {
-      // Get members under this supervisor
-      const teamMembers = await User.find({ supervisorId: currentUser._id }).distinct('_id');
-      teamMemberIds = [...teamMembers, currentUser._id];
-    } else {
-      // Members can only see their own tasks
-      teamMemberIds = [currentUser._id];
+    const { listQuery, error } = parseTaskListQuery(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
     }
     
-    const tasks = await Task.find({ assigneeId: { $in: teamMemberIds } })
-      .populate('assigneeId', 'name email')
-      .populate('createdBy', 'name email')
-      .sort({ lastUpdated: -1 });
+    const result = await findTasks({ assigneeId: { $in: teamMemberIds } }, listQuery);
+    sendTaskList(res, result);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// @route   GET api/tasks/team/:userId/time
+// @desc    Get logged time per team member and task (based on user's role);
+//          accepts optional from and to dates
+// @access  Private
+router.get('/team/:userId/time', auth, async (req, res) => {
+  try {
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
     
-    res.json(tasks);
+    const teamMemberIds = await getTeamMemberIds(currentUser);
+    
+    const match = { userId: { $in: teamMemberIds }, endedAt: { $ne: null } };
+    const range = {};
+    for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+      if (req.query[param]) {
+        const date = new Date(req.query[param]);
+        if (isNaN(date.getTime())) {
+          return res.status(400).json({ message: `Invalid ${param} date format` });
+        }
+        range[operator] = date;
+      }
+    }
+    if (Object.keys(range).length > 0) {
+      match.startedAt = range;
+    }
+    
+    const totals = await TimeLog.aggregate([
+      { $match: match },
+      { $group: { _id: { userId: '$userId', taskId: '$taskId' }, loggedMinutes: { $sum: '$minutes' } } }
+    ]);
+    
+    const users = await User.find({ _id: { $in: teamMemberIds } }).select('name email');
+    const tasks = await Task.find({ _id: { $in: totals.map(total => total._id.taskId) } }).select('title status');
+    const tasksById = new Map(tasks.map(task => [task._id.toString(), task]));
+    
+    const members = users.map(user => {
+      const userTotals = totals.filter(total => total._id.userId.toString() === user._id.toString());
+      return {
+        user: { id: user._id, name: user.name, email: user.email },
+        loggedMinutes: userTotals.reduce((sum, total) => sum + total.loggedMinutes, 0),
+        tasks: userTotals.map(total => {
+          const task = tasksById.get(total._id.taskId.toString());
+          return {
+            taskId: total._id.taskId,
+            title: task ? task.title : null,
+            status: task ? task.status : null,
+            loggedMinutes: total.loggedMinutes
+          };
+        })
+      };
+    });
+    
+    res.json({
+      totalMinutes: members.reduce((sum, member) => sum + member.loggedMinutes, 0),
+      members
+    });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server Error' });
   }
 });
 
+// @route   GET api/tasks/user/:userId/export
+// @desc    Export the tasks of GET api/tasks/user/:userId as CSV or XLSX
+// @access  Private
+router.get('/user/:userId/export', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+    
+    const currentUser = await User.findById(req.user.userId);
+    if (!(await canViewUserTasks(currentUser, req.params.userId))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    
+    await sendTaskExport(req, res, { assigneeId: new mongoose.Types.ObjectId(req.params.userId) });
+  } catch (error) {
+    handleExportError(res, error);
+  }
+});
+
+// @route   GET api/tasks/team/:userId/export
+// @desc    Export the tasks of GET api/tasks/team/:userId as CSV or XLSX
+// @access  Private
+router.get('/team/:userId/export', auth, async (req, res) => {
+  try {
+    const currentUser = await User.findById(req.user.userId);
+    const teamMemberIds = await getTeamMemberIds(currentUser);
+    
+    await sendTaskExport(req, res, { assigneeId: { $in: teamMemberIds } });
+  } catch (error) {
+    handleExportError(res, error);
+  }
+});
+
 module.exports = router;
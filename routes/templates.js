@@ -0,0 +1,280 @@
+const express = require('express');
+const router = express.Router();
+const TaskTemplate = require('../models/TaskTemplate');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const mongoose = require('mongoose');
+const { parseEstimate } = require('../services/timeTracking');
+const {
+  parseDueOffset,
+  getTemplateScopeFilter,
+  canManageTemplate
+} = require('../services/taskTemplates');
+
+const VALID_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Helper function to validate template fields from a request body; only fields present are returned
+const buildTemplateFields = (body, currentUser) => {
+  const fields = {};
+  
+  if (body.name !== undefined) {
+    if (!body.name || !String(body.name).trim()) {
+      return { error: 'Name cannot be empty' };
+    }
+    fields.name = String(body.name).trim();
+  }
+  
+  if (body.title !== undefined) {
+    if (!body.title || !String(body.title).trim()) {
+      return { error: 'Title cannot be empty' };
+    }
+    fields.title = String(body.title).trim();
+  }
+  
+  if (body.description !== undefined) {
+    if (!body.description || !String(body.description).trim()) {
+      return { error: 'Description cannot be empty' };
+    }
+    fields.description = String(body.description).trim();
+  }
+  
+  if (body.priority !== undefined) {
+    if (!VALID_PRIORITIES.includes(body.priority)) {
+      return { error: 'Invalid priority value' };
+    }
+    fields.priority = body.priority;
+  }
+  
+  if (body.tags !== undefined) {
+    fields.tags = Array.isArray(body.tags) ? body.tags : [];
+  }
+  
+  if (body.estimatedMinutes !== undefined) {
+    const { estimatedMinutes, error } = parseEstimate(body.estimatedMinutes);
+    if (error) return { error };
+    fields.estimatedMinutes = estimatedMinutes;
+  }
+  
+  if (body.dueOffset !== undefined) {
+    const { dueOffset, error } = parseDueOffset(body.dueOffset);
+    if (error) return { error };
+    fields.dueOffset = dueOffset;
+  }
+  
+  if (body.subtasks !== undefined) {
+    if (!Array.isArray(body.subtasks)) {
+      return { error: 'Subtasks must be an array' };
+    }
+    
+    fields.subtasks = [];
+    for (const subtask of body.subtasks) {
+      if (!subtask || !subtask.title || !String(subtask.title).trim()) {
+        return { error: 'Every subtask needs a title' };
+      }
+      
+      const templateSubtask = {
+        title: String(subtask.title).trim(),
+        description: subtask.description ? String(subtask.description).trim() : ''
+      };
+      if (subtask.dueOffset !== undefined && subtask.dueOffset !== null) {
+        const { dueOffset, error } = parseDueOffset(subtask.dueOffset);
+        if (error) return { error };
+        templateSubtask.dueOffset = dueOffset;
+      }
+      fields.subtasks.push(templateSubtask);
+    }
+  }
+  
+  if (body.visibility !== undefined) {
+    if (!['org', 'team'].includes(body.visibility)) {
+      return { error: 'Invalid visibility. Must be one of: org, team' };
+    }
+    
+    // Team templates are shared with the creating manager's team
+    if (body.visibility === 'team' && currentUser.role !== 'manager') {
+      return { error: 'Only managers can create team templates' };
+    }
+    fields.visibility = body.visibility;
+    fields.teamManagerId = body.visibility === 'team' ? currentUser._id : null;
+  }
+  
+  return { fields };
+};
+
+// @route   GET api/templates
+// @desc    Get task templates visible to the current user
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const templates = await TaskTemplate.find(await getTemplateScopeFilter(currentUser))
+      .populate('createdBy', 'name email')
+      .sort({ name: 1 });
+    
+    res.json(templates);
+  } catch (error) {
+    console.error('Error fetching templates:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/templates/:id
+// @desc    Get a task template
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid template ID format' });
+    }
+    
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const template = await TaskTemplate.findOne({
+      $and: [{ _id: req.params.id }, await getTemplateScopeFilter(currentUser)]
+    }).populate('createdBy', 'name email');
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+    
+    res.json(template);
+  } catch (error) {
+    console.error('Error fetching template:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/templates
+// @desc    Create a task template
+// @access  Private (Managers and Super Admins)
+router.post('/', auth, async (req, res) => {
+  try {
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (!['manager', 'super_admin'].includes(currentUser.role)) {
+      return res.status(403).json({ message: 'Only managers and super admins can create templates' });
+    }
+    
+    // Tasks require a description, so templates do too
+    if (!req.body.name || !req.body.title || !req.body.description) {
+      return res.status(400).json({ message: 'Name, title and description are required' });
+    }
+    
+    // Managers share with their team unless they choose org-wide; super admins have no team
+    const body = {
+      ...req.body,
+      visibility: req.body.visibility || (currentUser.role === 'manager' ? 'team' : 'org')
+    };
+    const { fields, error } = buildTemplateFields(body, currentUser);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    const template = await new TaskTemplate({ ...fields, createdBy: currentUser._id }).save();
+    
+    console.log('Task template created:', template._id, 'by', currentUser.email);
+    res.status(201).json(template);
+  } catch (error) {
+    console.error('Error creating template:', error);
+    
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: errors
+      });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT api/templates/:id
+// @desc    Update a task template
+// @access  Private (creator or Super Admin)
+router.put('/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid template ID format' });
+    }
+    
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const template = await TaskTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+    
+    if (!canManageTemplate(currentUser, template)) {
+      return res.status(403).json({ message: 'You cannot edit this template' });
+    }
+    
+    const { fields, error } = buildTemplateFields(req.body, currentUser);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    template.set(fields);
+    await template.save();
+    
+    res.json(template);
+  } catch (error) {
+    console.error('Error updating template:', error);
+    
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: errors
+      });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE api/templates/:id
+// @desc    Delete a task template
+// @access  Private (creator or Super Admin)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid template ID format' });
+    }
+    
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const template = await TaskTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+    
+    if (!canManageTemplate(currentUser, template)) {
+      return res.status(403).json({ message: 'You cannot delete this template' });
+    }
+    
+    await TaskTemplate.findByIdAndDelete(template._id);
+    
+    res.json({ success: true, message: 'Template deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting template:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,240 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const Task = require('../models/Task');
+const User = require('../models/User');
+const TimeLog = require('../models/TimeLog');
+const auth = require('../middleware/auth');
+const mongoose = require('mongoose');
+const { canViewTask, canWorkOnTask, getEditPermission, toIdString } = require('../services/taskAccess');
+const { getTimeTotals, minutesBetween } = require('../services/timeTracking');
+const { recordActivity } = require('../services/activityLog');
+
+// Middleware to load the task and check the current user can view it
+const loadVisibleTask = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid task ID format' });
+    }
+    
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    // Same visibility rules as GET /api/tasks/:id
+    if (!(await canViewTask(currentUser, task))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    
+    req.currentUser = currentUser;
+    req.task = task;
+    next();
+  } catch (error) {
+    console.error('Error loading task for time tracking:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// Middleware to check the current user can work on the loaded task; watchers and project
+// members can only view it
+const requireTaskWorker = async (req, res, next) => {
+  try {
+    if (!(await canWorkOnTask(req.currentUser, req.task))) {
+      return res.status(403).json({ message: 'You cannot log time on this task' });
+    }
+    next();
+  } catch (error) {
+    console.error('Error checking task access for time tracking:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// Helper function to check if the current user is the task's assignee
+const isAssignee = (req) => toIdString(req.task.assigneeId) === req.currentUser._id.toString();
+
+// @route   GET api/tasks/:id/time
+// @desc    Get time logs of a task with estimated vs logged totals
+// @access  Private
+router.get('/', auth, loadVisibleTask, async (req, res) => {
+  try {
+    const logs = await TimeLog.find({ taskId: req.task._id })
+      .populate('userId', 'name email')
+      .sort({ startedAt: -1 });
+    const totals = await getTimeTotals(req.task);
+    
+    res.json({ ...totals, logs });
+  } catch (error) {
+    console.error('Error fetching time logs:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/tasks/:id/time/start
+// @desc    Start a timer on a task
+// @access  Private (assignee only)
+router.post('/start', auth, loadVisibleTask, requireTaskWorker, async (req, res) => {
+  try {
+    if (!isAssignee(req)) {
+      return res.status(403).json({ message: 'Only the assignee can track time on this task' });
+    }
+    
+    // A user can only have one timer running at a time
+    const runningLog = await TimeLog.findOne({ userId: req.currentUser._id, endedAt: null });
+    if (runningLog) {
+      return res.status(400).json({
+        message: 'A timer is already running',
+        taskId: runningLog.taskId
+      });
+    }
+    
+    const log = await new TimeLog({
+      taskId: req.task._id,
+      userId: req.currentUser._id,
+      source: 'timer',
+      startedAt: new Date(),
+      note: req.body.note ? String(req.body.note).trim() : ''
+    }).save();
+    
+    res.status(201).json(log);
+  } catch (error) {
+    console.error('Error starting timer:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/tasks/:id/time/stop
+// @desc    Stop the current user's running timer on a task
+// @access  Private (assignee only)
+router.post('/stop', auth, loadVisibleTask, async (req, res) => {
+  try {
+    const endedAt = new Date();
+    const log = await TimeLog.findOne({ taskId: req.task._id, userId: req.currentUser._id, endedAt: null });
+    if (!log) {
+      return res.status(400).json({ message: 'No timer is running on this task' });
+    }
+    
+    log.endedAt = endedAt;
+    log.minutes = minutesBetween(log.startedAt, endedAt);
+    if (req.body.note !== undefined) {
+      log.note = String(req.body.note).trim();
+    }
+    await log.save();
+    
+    await recordActivity({
+      taskId: req.task._id,
+      actorId: req.currentUser._id,
+      action: 'time_logged',
+      details: { timeLogId: log._id, minutes: log.minutes, source: log.source }
+    });
+    
+    res.json(log);
+  } catch (error) {
+    console.error('Error stopping timer:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/tasks/:id/time
+// @desc    Add a manual time log entry
+// @access  Private (assignee or users who can edit the task)
+router.post('/', auth, loadVisibleTask, requireTaskWorker, async (req, res) => {
+  const { minutes, date, note } = req.body;
+  
+  try {
+    if (!isAssignee(req)) {
+      const { canEdit } = await getEditPermission(req.currentUser, req.task);
+      if (!canEdit) {
+        return res.status(403).json({ message: 'You cannot log time on this task' });
+      }
+    }
+    
+    const loggedMinutes = Number(minutes);
+    if (!Number.isFinite(loggedMinutes) || loggedMinutes <= 0) {
+      return res.status(400).json({ message: 'Minutes must be a positive number' });
+    }
+    
+    const startedAt = date ? new Date(date) : new Date();
+    if (isNaN(startedAt.getTime())) {
+      return res.status(400).json({ message: 'Invalid date format' });
+    }
+    
+    const log = await new TimeLog({
+      taskId: req.task._id,
+      userId: req.currentUser._id,
+      source: 'manual',
+      startedAt,
+      endedAt: new Date(startedAt.getTime() + Math.round(loggedMinutes) * 60000),
+      minutes: Math.round(loggedMinutes),
+      note: note ? String(note).trim() : ''
+    }).save();
+    
+    await recordActivity({
+      taskId: req.task._id,
+      actorId: req.currentUser._id,
+      action: 'time_logged',
+      details: { timeLogId: log._id, minutes: log.minutes, source: log.source }
+    });
+    
+    const populatedLog = await TimeLog.findById(log._id).populate('userId', 'name email');
+    res.status(201).json(populatedLog);
+  } catch (error) {
+    console.error('Error adding time log:', error);
+    
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: errors
+      });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE api/tasks/:id/time/:logId
+// @desc    Delete a time log entry
+// @access  Private (author or users who can edit the task)
+router.delete('/:logId', auth, loadVisibleTask, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.logId)) {
+      return res.status(400).json({ message: 'Invalid time log ID format' });
+    }
+    
+    const log = await TimeLog.findOne({ _id: req.params.logId, taskId: req.task._id });
+    if (!log) {
+      return res.status(404).json({ message: 'Time log not found' });
+    }
+    
+    let canDelete = log.userId.toString() === req.currentUser._id.toString();
+    if (!canDelete) {
+      const { canEdit } = await getEditPermission(req.currentUser, req.task);
+      canDelete = canEdit;
+    }
+    
+    if (!canDelete) {
+      return res.status(403).json({ message: 'You cannot delete this time log' });
+    }
+    
+    await TimeLog.findByIdAndDelete(log._id);
+    
+    await recordActivity({
+      taskId: req.task._id,
+      actorId: req.currentUser._id,
+      action: 'time_log_deleted',
+      details: { timeLogId: log._id, minutes: log.minutes, userId: log.userId }
+    });
+    
+    res.json({ success: true, message: 'Time log deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting time log:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -571,6 +571,60 @@ router.delete('/:userId',
   }
 );
 
+// @route   PUT api/users/:userId/review-policy
+// @desc    Set whether the tasks of a supervisor's or manager's team need review before they
+//          count as completed (tasks can still override it)
+// @access  Private (the supervisor or manager, their manager, or Super Admin)
+router.put('/:userId/review-policy', auth, async (req, res) => {
+  try {
+    const { requireTaskReview } = req.body;
+    if (typeof requireTaskReview !== 'boolean') {
+      return res.status(400).json({ message: 'requireTaskReview must be true or false' });
+    }
+    
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+    
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const teamLeader = await User.findById(req.params.userId);
+    if (!teamLeader) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (!['supervisor', 'manager'].includes(teamLeader.role)) {
+      return res.status(400).json({ message: 'Only supervisors and managers have a team review policy' });
+    }
+    
+    const currentUserId = currentUser._id.toString();
+    const canSetPolicy = currentUser.role === 'super_admin' ||
+      teamLeader._id.toString() === currentUserId ||
+      (teamLeader.managerId && teamLeader.managerId.toString() === currentUserId);
+    if (!canSetPolicy) {
+      return res.status(403).json({ message: 'You cannot change the review policy of this team' });
+    }
+    
+    const user = await User.findByIdAndUpdate(
+      teamLeader._id,
+      { requireTaskReview },
+      { new: true }
+    ).select('-password -resetPasswordToken');
+    
+    console.log('Team review policy of', user.email, 'set to', requireTaskReview, 'by', currentUser.email);
+    res.json({
+      message: 'Review policy updated successfully',
+      user
+    });
+  } catch (error) {
+    console.error('Error updating review policy:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   PUT api/users/:userId/role
 // @desc    Update user role
 // @access  Private (Super Admin only)
@@ -0,0 +1,138 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const Task = require('../models/Task');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const mongoose = require('mongoose');
+const { canViewTask, getEditPermission, toIdString } = require('../services/taskAccess');
+const { recordActivity } = require('../services/activityLog');
+
+// Middleware to load the task and check the current user can view it
+const loadVisibleTask = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid task ID format' });
+    }
+    
+    const currentUser = await User.findById(req.user.userId);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    // Same visibility rules as GET /api/tasks/:id
+    if (!(await canViewTask(currentUser, task))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    
+    req.currentUser = currentUser;
+    req.task = task;
+    next();
+  } catch (error) {
+    console.error('Error loading task for watchers:', error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// Helper function to get the populated watcher list of a task
+const getWatchers = async (taskId) => {
+  const task = await Task.findById(taskId).select('watchers').populate('watchers', 'name email');
+  return task ? task.watchers : [];
+};
+
+// @route   GET api/tasks/:id/watchers
+// @desc    Get the watchers of a task
+// @access  Private
+router.get('/', auth, loadVisibleTask, async (req, res) => {
+  try {
+    res.json(await getWatchers(req.task._id));
+  } catch (error) {
+    console.error('Error fetching watchers:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/tasks/:id/watchers
+// @desc    Follow a task, or add another user as a watcher (body userId)
+// @access  Private (adding others requires edit permission on the task)
+router.post('/', auth, loadVisibleTask, async (req, res) => {
+  try {
+    const currentUserId = req.currentUser._id.toString();
+    const userId = req.body.userId || currentUserId;
+    
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+    
+    if (userId !== currentUserId) {
+      const { canEdit } = await getEditPermission(req.currentUser, req.task);
+      if (!canEdit) {
+        return res.status(403).json({ message: 'You cannot add watchers to this task' });
+      }
+      
+      const watcher = await User.findById(userId);
+      if (!watcher || watcher.status !== 'active') {
+        return res.status(400).json({ message: 'User not found' });
+      }
+    }
+    
+    if (req.task.watchers.some(watcherId => toIdString(watcherId) === userId)) {
+      return res.status(400).json({ message: 'User is already watching this task' });
+    }
+    
+    await Task.updateOne({ _id: req.task._id }, { $addToSet: { watchers: userId }, $inc: { version: 1 } });
+    await recordActivity({
+      taskId: req.task._id,
+      actorId: req.currentUser._id,
+      action: 'watcher_added',
+      details: { userId }
+    });
+    
+    res.status(201).json(await getWatchers(req.task._id));
+  } catch (error) {
+    console.error('Error adding watcher:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE api/tasks/:id/watchers/:userId
+// @desc    Unfollow a task, or remove another watcher
+// @access  Private (removing others requires edit permission on the task)
+router.delete('/:userId', auth, loadVisibleTask, async (req, res) => {
+  try {
+    const userId = req.params.userId;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+    
+    if (userId !== req.currentUser._id.toString()) {
+      const { canEdit } = await getEditPermission(req.currentUser, req.task);
+      if (!canEdit) {
+        return res.status(403).json({ message: 'You cannot remove watchers from this task' });
+      }
+    }
+    
+    if (!req.task.watchers.some(watcherId => toIdString(watcherId) === userId)) {
+      return res.status(404).json({ message: 'User is not watching this task' });
+    }
+    
+    await Task.updateOne({ _id: req.task._id }, { $pull: { watchers: userId }, $inc: { version: 1 } });
+    await recordActivity({
+      taskId: req.task._id,
+      actorId: req.currentUser._id,
+      action: 'watcher_removed',
+      details: { userId }
+    });
+    
+    res.json(await getWatchers(req.task._id));
+  } catch (error) {
+    console.error('Error removing watcher:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,222 @@
+const express = require('express');
+const router = express.Router();
+const WorkflowStatus = require('../models/WorkflowStatus');
+const Task = require('../models/Task');
+const auth = require('../middleware/auth');
+const { requireSuperAdmin } = require('../middleware/roles');
+const { getWorkflowStatuses } = require('../services/workflow');
+const { REVIEW_STATUS_KEY } = require('../services/taskReview');
+
+const VALID_CATEGORIES = ['todo', 'doing', 'done'];
+const VALID_ROLES = ['super_admin', 'manager', 'supervisor', 'member'];
+
+// Helper function to validate transition rules against the configured statuses
+const validateTransitions = async (transitions) => {
+  if (!Array.isArray(transitions)) {
+    return 'Transitions must be an array';
+  }
+  
+  const knownKeys = await WorkflowStatus.find().distinct('key');
+  for (const transition of transitions) {
+    if (!transition || !knownKeys.includes(transition.to)) {
+      return `Unknown transition target status: ${transition && transition.to}`;
+    }
+    if (transition.roles && (!Array.isArray(transition.roles) || !transition.roles.every(role => VALID_ROLES.includes(role)))) {
+      return 'Invalid role in transition. Must be one of: ' + VALID_ROLES.join(', ');
+    }
+  }
+  
+  return null;
+};
+
+// @route   GET api/workflow/statuses
+// @desc    Get the configured task statuses and transitions
+// @access  Private
+router.get('/statuses', auth, async (req, res) => {
+  try {
+    const statuses = req.query.includeInactive === 'true'
+      ? await WorkflowStatus.find().sort({ order: 1, name: 1 })
+      : await getWorkflowStatuses();
+    
+    res.json(statuses);
+  } catch (error) {
+    console.error('Error fetching workflow statuses:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/workflow/statuses
+// @desc    Add a task status
+// @access  Private (Super Admin only)
+router.post('/statuses', auth, requireSuperAdmin, async (req, res) => {
+  const { key, name, category, order, isDefault, color, transitions } = req.body;
+  
+  try {
+    if (!key || !name) {
+      return res.status(400).json({ message: 'Key and name are required' });
+    }
+    
+    if (typeof key !== 'string' || typeof name !== 'string') {
+      return res.status(400).json({ message: 'Key and name must be strings' });
+    }
+    
+    if (!VALID_CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        message: 'Invalid category. Must be one of: ' + VALID_CATEGORIES.join(', ')
+      });
+    }
+    
+    const existingStatus = await WorkflowStatus.findOne({ key: key.toLowerCase().trim() });
+    if (existingStatus) {
+      return res.status(400).json({ message: 'A status with this key already exists' });
+    }
+    
+    if (transitions !== undefined) {
+      const transitionError = await validateTransitions(transitions);
+      if (transitionError) {
+        return res.status(400).json({ message: transitionError });
+      }
+    }
+    
+    if (isDefault) {
+      await WorkflowStatus.updateMany({}, { $set: { isDefault: false } });
+    }
+    
+    const status = await new WorkflowStatus({
+      key,
+      name,
+      category,
+      order: order || 0,
+      isDefault: !!isDefault,
+      color,
+      transitions: transitions || []
+    }).save();
+    
+    console.log('Workflow status created:', status.key, 'by', req.currentUser.email);
+    res.status(201).json(status);
+  } catch (error) {
+    console.error('Error creating workflow status:', error);
+    
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: errors
+      });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT api/workflow/statuses/:key
+// @desc    Update a task status, its category or its transitions
+// @access  Private (Super Admin only)
+router.put('/statuses/:key', auth, requireSuperAdmin, async (req, res) => {
+  const { name, category, order, isDefault, color, transitions, active } = req.body;
+  
+  try {
+    const status = await WorkflowStatus.findOne({ key: req.params.key });
+    if (!status) {
+      return res.status(404).json({ message: 'Status not found' });
+    }
+    
+    if (category !== undefined && !VALID_CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        message: 'Invalid category. Must be one of: ' + VALID_CATEGORIES.join(', ')
+      });
+    }
+    
+    if (transitions !== undefined) {
+      const transitionError = await validateTransitions(transitions);
+      if (transitionError) {
+        return res.status(400).json({ message: transitionError });
+      }
+      status.transitions = transitions;
+    }
+    
+    if (active === false && status.isDefault) {
+      return res.status(400).json({ message: 'The default status cannot be deactivated' });
+    }
+    
+    // Tasks waiting for review must not count as completed
+    if (status.key === REVIEW_STATUS_KEY && category !== undefined && category !== 'doing') {
+      return res.status(400).json({ message: 'The review status must stay in the doing category' });
+    }
+    
+    const categoryChanged = category !== undefined && category !== status.category;
+    
+    if (name !== undefined) status.name = name;
+    if (category !== undefined) status.category = category;
+    if (order !== undefined) status.order = order;
+    if (color !== undefined) status.color = color;
+    if (active !== undefined) status.active = !!active;
+    
+    if (isDefault) {
+      await WorkflowStatus.updateMany({ _id: { $ne: status._id } }, { $set: { isDefault: false } });
+      status.isDefault = true;
+    }
+    
+    await status.save();
+    
+    // Keep the denormalised category on tasks in sync
+    if (categoryChanged) {
+      await Task.updateMany({ status: status.key }, { $set: { statusCategory: status.category }, $inc: { version: 1 } });
+    }
+    
+    res.json(status);
+  } catch (error) {
+    console.error('Error updating workflow status:', error);
+    
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: errors
+      });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE api/workflow/statuses/:key
+// @desc    Delete a task status that no task uses
+// @access  Private (Super Admin only)
+router.delete('/statuses/:key', auth, requireSuperAdmin, async (req, res) => {
+  try {
+    const status = await WorkflowStatus.findOne({ key: req.params.key });
+    if (!status) {
+      return res.status(404).json({ message: 'Status not found' });
+    }
+    
+    if (status.isDefault) {
+      return res.status(400).json({ message: 'The default status cannot be deleted' });
+    }
+    
+    if (status.key === REVIEW_STATUS_KEY) {
+      return res.status(400).json({ message: 'The review status is used by task reviews and cannot be deleted' });
+    }
+    
+    // Trashed tasks count too, since they can still be restored
+    const tasksUsingStatus = await Task.countDocuments({ status: status.key }).setOptions({ includeTrashed: true });
+    if (tasksUsingStatus > 0) {
+      return res.status(400).json({
+        message: 'Status is still used by tasks; deactivate it or move the tasks first',
+        taskCount: tasksUsingStatus
+      });
+    }
+    
+    await WorkflowStatus.findByIdAndDelete(status._id);
+    
+    // Drop transitions that pointed at the deleted status
+    await WorkflowStatus.updateMany({}, { $pull: { transitions: { to: status.key } } });
+    
+    res.json({ success: true, message: 'Status deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting workflow status:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -2,11 +2,30 @@ const express = require('express');
 const cors = require('cors');
 const mongoose = require('mongoose');
 const dotenv = require('dotenv');
+
+// Load .env before the routes and services read their settings from it
+dotenv.config();
+
 const userRoutes = require('./routes/users');
 const taskRoutes = require('./routes/tasks');
+const commentRoutes = require('./routes/comments');
+const attachmentRoutes = require('./routes/attachments');
+const timeLogRoutes = require('./routes/timeLogs');
+const watcherRoutes = require('./routes/watchers');
+const workflowRoutes = require('./routes/workflow');
+const templateRoutes = require('./routes/templates');
+const slaRoutes = require('./routes/sla');
+const calendarRoutes = require('./routes/calendar');
+const projectRoutes = require('./routes/projects');
+const tagRoutes = require('./routes/tags');
 const User = require('./models/User');
-
-dotenv.config();
+const { startRecurrenceScheduler } = require('./services/recurrence');
+const { ensureDefaultWorkflow } = require('./services/workflow');
+const { startTrashPurgeScheduler } = require('./services/taskTrash');
+const { startEscalationScheduler } = require('./services/escalation');
+const { ensureDefaultSlaPolicies } = require('./services/sla');
+const { ensureTaskRanks } = require('./services/taskBoard');
+const { ensureReviewStatus } = require('./services/taskReview');
 
 // Import only existing routes
 const authRoutes = require('./routes/auth');
@@ -17,15 +36,27 @@ const app = express();
 // Middleware
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'https://taskmaster.xstreamapps.in',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Total-Count', 'ETag']
 }));
 app.use(express.json());
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/tasks/:id/comments', commentRoutes);
+app.use('/api/tasks/:id/attachments', attachmentRoutes);
+app.use('/api/tasks/:id/time', timeLogRoutes);
+app.use('/api/tasks/:id/watchers', watcherRoutes);
 app.use('/api/tasks', taskRoutes);
-app.use('/uploads', express.static('uploads')); // Serve static files from uploads directory
+app.use('/api/workflow', workflowRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/sla', slaRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/tags', tagRoutes);
+// Serve profile pictures publicly; task attachments go through /api/tasks/:id/attachments
+app.use('/uploads/profile-pictures', express.static('uploads/profile-pictures'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -41,7 +72,7 @@ app.get('/', (req, res) => {
   res.json({ 
     message: 'TaskBerry Backend API',
     version: '1.0.0',
-    endpoints: ['/api/auth', '/api/users', '/api/tasks', '/api/health']
+    endpoints: ['/api/auth', '/api/users', '/api/tasks', '/api/workflow', '/api/templates', '/api/sla', '/api/calendar', '/api/projects', '/api/tags', '/api/health']
   });
 });
 
@@ -139,6 +170,15 @@ mongoose.connect(MONGO_URI)
     
     // Create default admin user after successful DB connection
     await createDefaultAdmin();
+    await ensureDefaultWorkflow();
+    await ensureReviewStatus();
+    await ensureDefaultSlaPolicies();
+    await ensureTaskRanks();
+    
+    // Start background jobs
+    startRecurrenceScheduler();
+    startTrashPurgeScheduler();
+    startEscalationScheduler();
     
     // Start the server
     app.listen(PORT, () => {
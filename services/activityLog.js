@@ -0,0 +1,57 @@
+const TaskActivity = require('../models/TaskActivity');
+
+// Fields whose changes are tracked on task updates
+const TRACKED_TASK_FIELDS = [
+  'title',
+  'description',
+  'assigneeId',
+  'projectId',
+  'targetDate',
+  'status',
+  'priority',
+  'tags',
+  'estimatedMinutes',
+  'requiresReview',
+  'completedDate'
+];
+
+// Normalise a field value so it can be compared and stored
+const normaliseValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(normaliseValue);
+  // Populated references and ObjectIds are stored by id
+  if (value._id) return value._id.toString();
+  return value;
+};
+
+// Get the before/after values of tracked fields that differ between two task versions
+const diffTaskFields = (before, after, fields = TRACKED_TASK_FIELDS) => {
+  const changes = [];
+  
+  fields.forEach(field => {
+    const from = normaliseValue(before[field]);
+    const to = normaliseValue(after[field]);
+    
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  });
+  
+  return changes;
+};
+
+// Record an activity entry; failures are logged but never break the request
+const recordActivity = async ({ taskId, actorId, action, changes = [], details }) => {
+  try {
+    await TaskActivity.create({ taskId, actorId, action, changes, details });
+  } catch (error) {
+    console.error('Error recording task activity:', error);
+  }
+};
+
+module.exports = {
+  TRACKED_TASK_FIELDS,
+  diffTaskFields,
+  recordActivity
+};
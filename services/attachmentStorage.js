@@ -0,0 +1,107 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+
+// Attachments live outside the public /uploads/profile-pictures mount and are
+// only served through the permission-checked attachment routes
+const ATTACHMENT_DIR = path.join(__dirname, '..', 'uploads', 'task-attachments');
+
+// Maximum number of files per upload request
+const MAX_FILES_PER_UPLOAD = 5;
+
+// Allowed MIME types and their per-file size limits (in bytes)
+const MB = 1024 * 1024;
+const ATTACHMENT_TYPES = {
+  'image/png': 5 * MB,
+  'image/jpeg': 5 * MB,
+  'image/gif': 5 * MB,
+  'image/webp': 5 * MB,
+  'application/pdf': 20 * MB,
+  'text/csv': 10 * MB,
+  'application/vnd.ms-excel': 10 * MB,
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 10 * MB,
+  'application/vnd.oasis.opendocument.spreadsheet': 10 * MB
+};
+
+// Configure multer for task attachments
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    // Create directory if it doesn't exist
+    if (!fs.existsSync(ATTACHMENT_DIR)) {
+      fs.mkdirSync(ATTACHMENT_DIR, { recursive: true });
+    }
+    cb(null, ATTACHMENT_DIR);
+  },
+  filename: function (req, file, cb) {
+    // Generate unique filename
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'attachment-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: Math.max(...Object.values(ATTACHMENT_TYPES)),
+    files: MAX_FILES_PER_UPLOAD
+  },
+  fileFilter: function (req, file, cb) {
+    if (ATTACHMENT_TYPES[file.mimetype]) {
+      cb(null, true);
+    } else {
+      cb(new Error(`File type not allowed: ${file.mimetype}`), false);
+    }
+  }
+});
+
+// Get the absolute path of a stored attachment
+const getAttachmentPath = (filename) => path.join(ATTACHMENT_DIR, path.basename(filename));
+
+// Remove stored files, ignoring ones that are already gone
+const removeAttachmentFiles = (files) => {
+  files.forEach(file => {
+    const filePath = file.path || getAttachmentPath(file.filename);
+    fs.unlink(filePath, (error) => {
+      if (error && error.code !== 'ENOENT') {
+        console.error('Error removing attachment file:', error);
+      }
+    });
+  });
+};
+
+// Middleware that accepts the "files" field and turns multer and size errors into 400 responses
+const uploadAttachments = (req, res, next) => {
+  upload.array('files', MAX_FILES_PER_UPLOAD)(req, res, (error) => {
+    if (error) {
+      removeAttachmentFiles(req.files || []);
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? 'File is too large'
+        : error.message;
+      return res.status(400).json({ message });
+    }
+    
+    // Multer only enforces the largest limit, so check each type's own limit here
+    const oversized = (req.files || []).filter(file => file.size > ATTACHMENT_TYPES[file.mimetype]);
+    if (oversized.length > 0) {
+      removeAttachmentFiles(req.files);
+      return res.status(400).json({
+        message: 'File is too large for its type',
+        files: oversized.map(file => ({
+          name: file.originalname,
+          size: file.size,
+          maxSize: ATTACHMENT_TYPES[file.mimetype]
+        }))
+      });
+    }
+    
+    next();
+  });
+};
+
+module.exports = {
+  ATTACHMENT_TYPES,
+  MAX_FILES_PER_UPLOAD,
+  uploadAttachments,
+  getAttachmentPath,
+  removeAttachmentFiles
+};
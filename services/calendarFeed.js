@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const Task = require('../models/Task');
+const WorkflowStatus = require('../models/WorkflowStatus');
+
+// Feeds include tasks due up to this many days ago, plus everything due later
+const CALENDAR_FEED_PAST_DAYS = parseInt(process.env.CALENDAR_FEED_PAST_DAYS, 10) || 90;
+
+// Length of the calendar event shown at a task's target date
+const EVENT_DURATION_MINUTES = 30;
+
+// iCalendar priorities run from 1 (highest) to 9 (lowest)
+const ICS_PRIORITIES = {
+  urgent: 1,
+  high: 3,
+  medium: 5,
+  low: 9
+};
+
+// VTODO statuses for each workflow category
+const ICS_TODO_STATUSES = {
+  todo: 'NEEDS-ACTION',
+  doing: 'IN-PROCESS',
+  done: 'COMPLETED'
+};
+
+// Generate a secret calendar feed token
+const generateCalendarToken = () => crypto.randomBytes(32).toString('hex');
+
+const isCalendarToken = (token) => /^[a-f0-9]{64}$/.test(token);
+
+// Escape a TEXT value (RFC 5545 section 3.3.11)
+const escapeText = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Format a date as a UTC DATE-TIME, e.g. 20250131T093000Z
+const formatIcsDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Fold content lines longer than 75 octets without splitting UTF-8 characters
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their length
+    const maxBytes = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > maxBytes) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+  
+  return parts.join('\r\n ');
+};
+
+// Build the event or to-do of a task
+const buildTaskComponent = (task, { component, statusNames, frontendUrl }) => {
+  const statusName = statusNames[task.status] || task.status;
+  const assigneeName = task.assigneeId && task.assigneeId.name;
+  const summaryLines = [
+    `Status: ${statusName}`,
+    `Priority: ${task.priority}`
+  ];
+  if (assigneeName) {
+    summaryLines.push(`Assignee: ${assigneeName}`);
+  }
+  
+  const lines = [
+    component === 'todo' ? 'BEGIN:VTODO' : 'BEGIN:VEVENT',
+    `UID:${task._id}@taskberry`,
+    `DTSTAMP:${formatIcsDate(task.lastUpdated || task.createdAt || new Date())}`,
+    `SUMMARY:${escapeText(task.title)}`,
+    `DESCRIPTION:${escapeText(summaryLines.join('\n') + '\n\n' + (task.description || ''))}`,
+    `PRIORITY:${ICS_PRIORITIES[task.priority] || 0}`,
+    `CATEGORIES:${[statusName, ...(task.tags || [])].map(escapeText).join(',')}`,
+    `URL:${frontendUrl}/tasks/${task._id}`
+  ];
+  
+  if (component === 'todo') {
+    lines.push(`DUE:${formatIcsDate(task.targetDate)}`);
+    lines.push(`STATUS:${ICS_TODO_STATUSES[task.statusCategory] || 'NEEDS-ACTION'}`);
+    lines.push(`PERCENT-COMPLETE:${task.statusCategory === 'done' ? 100 : (task.progress || 0)}`);
+    if (task.statusCategory === 'done' && task.completedDate) {
+      lines.push(`COMPLETED:${formatIcsDate(task.completedDate)}`);
+    }
+    lines.push('END:VTODO');
+  } else {
+    const end = new Date(new Date(task.targetDate).getTime() + EVENT_DURATION_MINUTES * 60 * 1000);
+    lines.push(`DTSTART:${formatIcsDate(task.targetDate)}`);
+    lines.push(`DTEND:${formatIcsDate(end)}`);
+    lines.push('STATUS:CONFIRMED');
+    lines.push('TRANSP:TRANSPARENT');
+    lines.push('END:VEVENT');
+  }
+  
+  return lines;
+};
+
+// Build an iCalendar document with one event (or to-do) per task
+const buildTaskCalendar = (tasks, { name, component = 'event', statusNames = {} }) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'https://taskberry-frontend.vercel.app';
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//TaskBerry//Task Due Dates//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+  
+  tasks.forEach(task => {
+    lines.push(...buildTaskComponent(task, { component, statusNames, frontendUrl }));
+  });
+  
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Build the calendar of the tasks matching a filter, skipping ones due long ago
+const getCalendarFeed = async (filter, { name, component }) => {
+  const since = new Date(Date.now() - CALENDAR_FEED_PAST_DAYS * 24 * 60 * 60 * 1000);
+  const tasks = await Task.find({ $and: [filter, { targetDate: { $gte: since } }] })
+    .populate('assigneeId', 'name')
+    .sort({ targetDate: 1 });
+  
+  const statuses = await WorkflowStatus.find().select('key name');
+  const statusNames = Object.fromEntries(statuses.map(status => [status.key, status.name]));
+  
+  return buildTaskCalendar(tasks, { name, component, statusNames });
+};
+
+module.exports = {
+  generateCalendarToken,
+  isCalendarToken,
+  buildTaskCalendar,
+  getCalendarFeed
+};
@@ -2,7 +2,7 @@ const nodemailer = require('nodemailer');
 
 // Email transporter configuration
 const createTransporter = () => {
-  return nodemailer.createTransporter({
+  return nodemailer.createTransport({
     service: 'gmail',
     auth: {
       user: process.env.EMAIL_USER,
@@ -205,6 +205,204 @@ const generateRejectionEmail = ({ name, reason, adminEmail }) => {
   };
 };
 
+// Escape user-provided text before embedding it in email HTML
+const escapeHtml = (text = '') => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// Generate mention notification email HTML
+const generateMentionEmail = ({ name, mentionedBy, taskTitle, commentBody, taskUrl }) => {
+  return {
+    subject: `${mentionedBy} mentioned you on "${taskTitle}"`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>New Mention - TaskMaster</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 8px 8px; }
+          .button { display: inline-block; background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .info-box { background: white; padding: 20px; border-radius: 6px; margin: 20px 0; border-left: 4px solid #667eea; white-space: pre-wrap; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>You were mentioned</h1>
+          <p>${escapeHtml(taskTitle)}</p>
+        </div>
+        
+        <div class="content">
+          <h2>Hello ${escapeHtml(name)},</h2>
+          
+          <p><strong>${escapeHtml(mentionedBy)}</strong> mentioned you in a comment on <strong>${escapeHtml(taskTitle)}</strong>:</p>
+          
+          <div class="info-box">${escapeHtml(commentBody)}</div>
+          
+          <div style="text-align: center;">
+            <a href="${taskUrl}" class="button">View Task</a>
+          </div>
+        </div>
+        
+        <div class="footer">
+          <p>This email was sent from Chatzy TaskMaster. If you didn't expect this email, please contact support.</p>
+          <p>© ${new Date().getFullYear()} TaskMaster. All rights reserved.</p>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `
+      Hello ${name},
+      
+      ${mentionedBy} mentioned you in a comment on "${taskTitle}":
+      
+      ${commentBody}
+      
+      View the task at: ${taskUrl}
+      
+      © ${new Date().getFullYear()} Chatzy TaskMaster. All rights reserved.
+    `
+  };
+};
+
+// Generate task update notification email HTML for watchers
+const generateTaskUpdateEmail = ({ name, actorName, taskTitle, summary, details, taskUrl }) => {
+  return {
+    subject: `${summary}: "${taskTitle}"`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Task Update - TaskMaster</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 8px 8px; }
+          .button { display: inline-block; background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .info-box { background: white; padding: 20px; border-radius: 6px; margin: 20px 0; border-left: 4px solid #667eea; white-space: pre-wrap; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>${escapeHtml(summary)}</h1>
+          <p>${escapeHtml(taskTitle)}</p>
+        </div>
+        
+        <div class="content">
+          <h2>Hello ${escapeHtml(name)},</h2>
+          
+          <p><strong>${escapeHtml(actorName)}</strong> updated a task you are watching, <strong>${escapeHtml(taskTitle)}</strong>:</p>
+          
+          <div class="info-box">${escapeHtml(details)}</div>
+          
+          <div style="text-align: center;">
+            <a href="${taskUrl}" class="button">View Task</a>
+          </div>
+        </div>
+        
+        <div class="footer">
+          <p>You are receiving this email because you watch this task. Unfollow the task to stop these notifications.</p>
+          <p>© ${new Date().getFullYear()} TaskMaster. All rights reserved.</p>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `
+      Hello ${name},
+      
+      ${actorName} updated a task you are watching, "${taskTitle}":
+      
+      ${details}
+      
+      View the task at: ${taskUrl}
+      
+      © ${new Date().getFullYear()} Chatzy TaskMaster. All rights reserved.
+    `
+  };
+};
+
+// Generate overdue task notification email HTML, for the assignee or for someone it was escalated to
+const generateOverdueEmail = ({ name, taskTitle, assigneeName, targetDate, escalated, taskUrl }) => {
+  const dueDate = new Date(targetDate).toDateString();
+  const intro = escalated
+    ? `A task assigned to ${assigneeName} is overdue and has been escalated to you.`
+    : 'A task assigned to you is overdue.';
+  
+  return {
+    subject: escalated ? `Escalated: "${taskTitle}" is overdue` : `Overdue: "${taskTitle}"`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Overdue Task - TaskMaster</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #ef4444 0%, #dc2626 100%); color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 8px 8px; }
+          .button { display: inline-block; background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .info-box { background: white; padding: 20px; border-radius: 6px; margin: 20px 0; border-left: 4px solid #ef4444; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>${escalated ? 'Overdue Task Escalated' : 'Task Overdue'}</h1>
+          <p>${escapeHtml(taskTitle)}</p>
+        </div>
+        
+        <div class="content">
+          <h2>Hello ${escapeHtml(name)},</h2>
+          
+          <p>${escapeHtml(intro)}</p>
+          
+          <div class="info-box">
+            <p><strong>Task:</strong> ${escapeHtml(taskTitle)}</p>
+            <p><strong>Assignee:</strong> ${escapeHtml(assigneeName)}</p>
+            <p><strong>Was due:</strong> ${dueDate}</p>
+          </div>
+          
+          <div style="text-align: center;">
+            <a href="${taskUrl}" class="button">View Task</a>
+          </div>
+        </div>
+        
+        <div class="footer">
+          <p>This email was sent from Chatzy TaskMaster. If you didn't expect this email, please contact support.</p>
+          <p>© ${new Date().getFullYear()} TaskMaster. All rights reserved.</p>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `
+      Hello ${name},
+      
+      ${intro}
+      
+      Task: ${taskTitle}
+      Assignee: ${assigneeName}
+      Was due: ${dueDate}
+      
+      View the task at: ${taskUrl}
+      
+      © ${new Date().getFullYear()} Chatzy TaskMaster. All rights reserved.
+    `
+  };
+};
+
 // Send password reset email
 const sendPasswordResetEmail = async (email, resetToken) => {
   try {
@@ -296,6 +494,87 @@ const sendRejectionEmail = async ({ to, name, reason, adminEmail }) => {
   }
 };
 
+// Send mention notification email
+const sendMentionEmail = async ({ to, name, mentionedBy, taskTitle, commentBody, taskUrl }) => {
+  try {
+    console.log('Preparing mention email for:', { to, name, taskTitle });
+    
+    const transporter = createTransporter();
+    const emailTemplate = generateMentionEmail({ name, mentionedBy, taskTitle, commentBody, taskUrl });
+    
+    const mailOptions = {
+      from: `"TaskMaster" <${process.env.EMAIL_USER}>`,
+      to: to,
+      subject: emailTemplate.subject,
+      html: emailTemplate.html,
+      text: emailTemplate.text
+    };
+    
+    const result = await transporter.sendMail(mailOptions);
+    console.log('Mention email sent successfully:', result.messageId);
+    
+    return { success: true, messageId: result.messageId };
+    
+  } catch (error) {
+    console.error('Failed to send mention email:', error);
+    throw new Error(`Failed to send mention email: ${error.message}`);
+  }
+};
+
+// Send task update notification email to a watcher
+const sendTaskUpdateEmail = async ({ to, name, actorName, taskTitle, summary, details, taskUrl }) => {
+  try {
+    console.log('Preparing task update email for:', { to, name, taskTitle });
+    
+    const transporter = createTransporter();
+    const emailTemplate = generateTaskUpdateEmail({ name, actorName, taskTitle, summary, details, taskUrl });
+    
+    const mailOptions = {
+      from: `"TaskMaster" <${process.env.EMAIL_USER}>`,
+      to: to,
+      subject: emailTemplate.subject,
+      html: emailTemplate.html,
+      text: emailTemplate.text
+    };
+    
+    const result = await transporter.sendMail(mailOptions);
+    console.log('Task update email sent successfully:', result.messageId);
+    
+    return { success: true, messageId: result.messageId };
+    
+  } catch (error) {
+    console.error('Failed to send task update email:', error);
+    throw new Error(`Failed to send task update email: ${error.message}`);
+  }
+};
+
+// Send overdue task notification email
+const sendOverdueEmail = async ({ to, name, taskTitle, assigneeName, targetDate, escalated, taskUrl }) => {
+  try {
+    console.log('Preparing overdue email for:', { to, name, taskTitle, escalated });
+    
+    const transporter = createTransporter();
+    const emailTemplate = generateOverdueEmail({ name, taskTitle, assigneeName, targetDate, escalated, taskUrl });
+    
+    const mailOptions = {
+      from: `"TaskMaster" <${process.env.EMAIL_USER}>`,
+      to: to,
+      subject: emailTemplate.subject,
+      html: emailTemplate.html,
+      text: emailTemplate.text
+    };
+    
+    const result = await transporter.sendMail(mailOptions);
+    console.log('Overdue email sent successfully:', result.messageId);
+    
+    return { success: true, messageId: result.messageId };
+    
+  } catch (error) {
+    console.error('Failed to send overdue email:', error);
+    throw new Error(`Failed to send overdue email: ${error.message}`);
+  }
+};
+
 // Send general email
 const sendEmail = async (to, subject, html, text = '') => {
   try {
@@ -322,5 +601,8 @@ module.exports = {
   sendPasswordResetEmail,
   sendApprovalEmail,
   sendRejectionEmail,
+  sendMentionEmail,
+  sendTaskUpdateEmail,
+  sendOverdueEmail,
   sendEmail
 };
@@ -0,0 +1,169 @@
+const Task = require('../models/Task');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const { recordActivity } = require('./activityLog');
+
+// How often the escalation job looks for overdue tasks
+const ESCALATION_CHECK_INTERVAL_MINUTES = parseInt(process.env.ESCALATION_CHECK_INTERVAL_MINUTES, 10) || 15;
+
+// Hours past the target date before an overdue task is escalated to the assignee's
+// supervisor and then their manager; the assignee is notified as soon as it is overdue
+const DEFAULT_ESCALATION_RULES = {
+  urgent: { supervisorAfterHours: 4, managerAfterHours: 24 },
+  high: { supervisorAfterHours: 24, managerAfterHours: 72 },
+  medium: { supervisorAfterHours: 48, managerAfterHours: 120 },
+  low: { supervisorAfterHours: 96, managerAfterHours: 240 }
+};
+
+const ESCALATION_LEVELS = {
+  1: 'assignee',
+  2: 'supervisor',
+  3: 'manager'
+};
+
+// Rules can be overridden per priority with ESCALATION_RULES,
+// e.g. {"urgent":{"supervisorAfterHours":2,"managerAfterHours":8}}
+const loadEscalationRules = () => {
+  const rules = JSON.parse(JSON.stringify(DEFAULT_ESCALATION_RULES));
+  if (!process.env.ESCALATION_RULES) return rules;
+  
+  try {
+    const overrides = JSON.parse(process.env.ESCALATION_RULES);
+    Object.keys(overrides).forEach(priority => {
+      if (rules[priority]) {
+        Object.assign(rules[priority], overrides[priority]);
+      }
+    });
+  } catch (error) {
+    console.error('Invalid ESCALATION_RULES, using defaults:', error.message);
+  }
+  
+  return rules;
+};
+
+const ESCALATION_RULES = loadEscalationRules();
+
+// Get the level a task should have reached after being overdue for the given number of hours
+const getDueEscalationLevel = (priority, hoursOverdue) => {
+  const rule = ESCALATION_RULES[priority] || ESCALATION_RULES.medium;
+  if (hoursOverdue >= rule.managerAfterHours) return 3;
+  if (hoursOverdue >= rule.supervisorAfterHours) return 2;
+  return 1;
+};
+
+// Get the user to notify at an escalation level
+const getEscalationTarget = async (assignee, level) => {
+  if (level === 1) {
+    return assignee;
+  }
+  
+  if (level === 2) {
+    return assignee.supervisorId ? await User.findById(assignee.supervisorId) : null;
+  }
+  
+  // Members under a supervisor belong to the supervisor's manager
+  let managerId = assignee.managerId;
+  if (!managerId && assignee.supervisorId) {
+    const supervisor = await User.findById(assignee.supervisorId).select('managerId');
+    managerId = supervisor ? supervisor.managerId : null;
+  }
+  
+  return managerId ? await User.findById(managerId) : null;
+};
+
+// Notify everyone an overdue task has newly reached, recording one event per level
+const escalateTask = async (task, now) => {
+  const hoursOverdue = (now.getTime() - task.targetDate.getTime()) / (60 * 60 * 1000);
+  const currentLevel = task.escalationLevel || 0;
+  const dueLevel = getDueEscalationLevel(task.priority, hoursOverdue);
+  if (dueLevel <= currentLevel) return;
+  
+  // Claim the levels first so overlapping runs can't notify anyone twice;
+  // tasks created before escalation existed have no level yet
+  const claimed = await Task.findOneAndUpdate(
+    { _id: task._id, escalationLevel: currentLevel === 0 ? { $in: [0, null] } : currentLevel },
+    { $set: { isOverdue: true, overdueSince: task.overdueSince || now, escalationLevel: dueLevel }, $inc: { version: 1 } }
+  );
+  if (!claimed) return;
+  
+  const assignee = await User.findById(task.assigneeId);
+  if (!assignee) return;
+  
+  const frontendUrl = process.env.FRONTEND_URL || 'https://taskberry-frontend.vercel.app';
+  const notifiedUserIds = [];
+  
+  for (let level = currentLevel + 1; level <= dueLevel; level++) {
+    const target = await getEscalationTarget(assignee, level);
+    const canNotify = target && target.status === 'active' && !notifiedUserIds.includes(target._id.toString());
+    
+    if (canNotify) {
+      notifiedUserIds.push(target._id.toString());
+      try {
+        await emailService.sendOverdueEmail({
+          to: target.email,
+          name: target.name,
+          taskTitle: task.title,
+          assigneeName: assignee.name,
+          targetDate: task.targetDate,
+          escalated: level > 1,
+          taskUrl: `${frontendUrl}/tasks/${task._id}`
+        });
+      } catch (emailError) {
+        console.error('Failed to send overdue email:', emailError);
+      }
+    }
+    
+    await recordActivity({
+      taskId: task._id,
+      actorId: null,
+      action: level === 1 ? 'marked_overdue' : 'escalated',
+      details: {
+        level,
+        escalatedTo: ESCALATION_LEVELS[level],
+        notifiedUserId: canNotify ? target._id : null,
+        hoursOverdue: Math.round(hoursOverdue)
+      }
+    });
+  }
+};
+
+// Mark and escalate overdue tasks, and reset tasks that were completed or rescheduled
+const processOverdueTasks = async () => {
+  const now = new Date();
+  
+  await Task.updateMany(
+    { isOverdue: true, $or: [{ statusCategory: 'done' }, { targetDate: { $gte: now } }] },
+    { $set: { isOverdue: false, overdueSince: null, escalationLevel: 0 }, $inc: { version: 1 } }
+  );
+  
+  const overdueTasks = await Task.find({
+    statusCategory: { $ne: 'done' },
+    targetDate: { $lt: now },
+    escalationLevel: { $ne: 3 }
+  });
+  
+  for (const task of overdueTasks) {
+    try {
+      await escalateTask(task, now);
+    } catch (error) {
+      console.error('Error escalating overdue task', task._id, error);
+    }
+  }
+};
+
+// Start the background job that escalates overdue tasks
+const startEscalationScheduler = () => {
+  const run = () => processOverdueTasks().catch(error => {
+    console.error('Escalation scheduler error:', error);
+  });
+  
+  run();
+  return setInterval(run, ESCALATION_CHECK_INTERVAL_MINUTES * 60 * 1000);
+};
+
+module.exports = {
+  ESCALATION_RULES,
+  getDueEscalationLevel,
+  processOverdueTasks,
+  startEscalationScheduler
+};
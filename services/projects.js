@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const WorkflowStatus = require('../models/WorkflowStatus');
+
+const PROJECT_STATUSES = ['planned', 'active', 'on_hold', 'completed', 'archived'];
+
+// Helper function to get the projects a user owns or is a member of
+const getMemberProjectIds = async (currentUser) => {
+  return await Project.find({
+    $or: [{ ownerId: currentUser._id }, { members: currentUser._id }]
+  }).distinct('_id');
+};
+
+// Helper function to get the filter of projects visible to a user
+const getProjectScopeFilter = (currentUser) => {
+  if (currentUser.role === 'super_admin') {
+    return {};
+  }
+  return { $or: [{ ownerId: currentUser._id }, { members: currentUser._id }] };
+};
+
+const isProjectMember = (currentUser, project) => {
+  const currentUserId = currentUser._id.toString();
+  const ownerId = (project.ownerId && project.ownerId._id ? project.ownerId._id : project.ownerId).toString();
+  return ownerId === currentUserId ||
+    project.members.some(member => (member._id || member).toString() === currentUserId);
+};
+
+// Helper function to check if user can see a project and its tasks
+const canViewProject = (currentUser, project) => {
+  return currentUser.role === 'super_admin' || isProjectMember(currentUser, project);
+};
+
+// Helper function to check if user can change or delete a project
+const canManageProject = (currentUser, project) => {
+  return currentUser.role === 'super_admin' ||
+    (project.ownerId._id || project.ownerId).toString() === currentUser._id.toString();
+};
+
+// Helper function to validate project fields from a request body; only fields present are returned
+const buildProjectFields = async (body, currentUser) => {
+  const fields = {};
+  
+  if (body.name !== undefined) {
+    if (!body.name || !String(body.name).trim()) {
+      return { error: 'Name cannot be empty' };
+    }
+    fields.name = String(body.name).trim();
+  }
+  
+  if (body.key !== undefined) {
+    const key = String(body.key || '').trim().toUpperCase();
+    if (!/^[A-Z][A-Z0-9]{1,9}$/.test(key)) {
+      return { error: 'Key must be 2 to 10 letters or digits, starting with a letter' };
+    }
+    fields.key = key;
+  }
+  
+  if (body.description !== undefined) {
+    fields.description = body.description ? String(body.description).trim() : '';
+  }
+  
+  if (body.status !== undefined) {
+    if (!PROJECT_STATUSES.includes(body.status)) {
+      return { error: 'Invalid project status. Must be one of: ' + PROJECT_STATUSES.join(', ') };
+    }
+    fields.status = body.status;
+  }
+  
+  for (const field of ['startDate', 'endDate']) {
+    if (body[field] !== undefined) {
+      if (body[field] === null || body[field] === '') {
+        fields[field] = null;
+        continue;
+      }
+      const date = new Date(body[field]);
+      if (isNaN(date.getTime())) {
+        return { error: `Invalid ${field} format` };
+      }
+      fields[field] = date;
+    }
+  }
+  
+  // Only super admins choose the owner; it must be a manager
+  if (body.ownerId !== undefined) {
+    if (currentUser.role !== 'super_admin') {
+      return { error: 'Only super admins can change the project owner' };
+    }
+    if (!mongoose.Types.ObjectId.isValid(body.ownerId)) {
+      return { error: 'Invalid owner ID format' };
+    }
+    const owner = await User.findById(body.ownerId);
+    if (!owner || owner.role !== 'manager' || owner.status !== 'active') {
+      return { error: 'The project owner must be an active manager' };
+    }
+    fields.ownerId = owner._id;
+  }
+  
+  if (body.members !== undefined) {
+    if (!Array.isArray(body.members) || !body.members.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return { error: 'Members must be an array of user IDs' };
+    }
+    const memberIds = [...new Set(body.members.map(id => id.toString()))];
+    const activeCount = await User.countDocuments({ _id: { $in: memberIds }, status: 'active' });
+    if (activeCount !== memberIds.length) {
+      return { error: 'Every member must be an active user' };
+    }
+    fields.members = memberIds;
+  }
+  
+  return { fields };
+};
+
+// Helper function to check a project a task is being added to; only its members
+// (and super admins) can add tasks, and archived projects take no new tasks
+const getTaskProject = async (projectId, currentUser) => {
+  if (!mongoose.Types.ObjectId.isValid(projectId)) {
+    return { error: 'Invalid project ID format', statusCode: 400 };
+  }
+  
+  const project = await Project.findById(projectId);
+  if (!project) {
+    return { error: 'Project not found', statusCode: 400 };
+  }
+  if (!canViewProject(currentUser, project)) {
+    return { error: 'You are not a member of this project', statusCode: 403 };
+  }
+  if (project.status === 'archived') {
+    return { error: 'Archived projects cannot take new tasks', statusCode: 400 };
+  }
+  
+  return { project };
+};
+
+// Count a project's tasks by status and category, with overdue and completion figures
+const getProjectProgress = async (projectId) => {
+  const now = new Date();
+  
+  const groups = await Task.aggregateLive([
+    { $match: { projectId: new mongoose.Types.ObjectId(projectId) } },
+    {
+      $group: {
+        _id: '$status',
+        category: { $first: '$statusCategory' },
+        count: { $sum: 1 },
+        overdue: {
+          $sum: { $cond: [{ $and: [{ $ne: ['$statusCategory', 'done'] }, { $lt: ['$targetDate', now] }] }, 1, 0] }
+        }
+      }
+    }
+  ]);
+  
+  const statuses = await WorkflowStatus.find().sort({ order: 1, name: 1 });
+  const statusOrder = statuses.map(status => status.key);
+  const statusNames = Object.fromEntries(statuses.map(status => [status.key, status.name]));
+  const byStatus = groups
+    .map(group => ({
+      status: group._id,
+      name: statusNames[group._id] || group._id,
+      category: group.category,
+      count: group.count,
+      overdue: group.overdue
+    }))
+    .sort((a, b) => statusOrder.indexOf(a.status) - statusOrder.indexOf(b.status));
+  
+  const byCategory = { todo: 0, doing: 0, done: 0 };
+  byStatus.forEach(group => {
+    byCategory[group.category] = (byCategory[group.category] || 0) + group.count;
+  });
+  
+  const total = byStatus.reduce((sum, group) => sum + group.count, 0);
+  return {
+    total,
+    completed: byCategory.done,
+    overdue: byStatus.reduce((sum, group) => sum + group.overdue, 0),
+    completionPercent: total > 0 ? Math.round((byCategory.done / total) * 100) : 0,
+    byCategory,
+    byStatus
+  };
+};
+
+module.exports = {
+  PROJECT_STATUSES,
+  getMemberProjectIds,
+  getProjectScopeFilter,
+  canViewProject,
+  canManageProject,
+  buildProjectFields,
+  getTaskProject,
+  getProjectProgress
+};
@@ -0,0 +1,182 @@
+// Fractional ranks for ordering tasks within a board column.
+//
+// A rank is an "integer" part followed by an optional fraction, written with base-62
+// digits in ASCII order, so ranks compare correctly as plain strings (also in MongoDB).
+// The first character of the integer part encodes its length: 'a' to 'z' for integers
+// of 2 to 27 characters and 'Z' down to 'A' for the negative side. Appending at either
+// end of a column increments the integer part, so ranks only grow logarithmically;
+// inserting between two neighbours bisects the fraction.
+
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const INTEGER_ZERO = 'a0';
+const SMALLEST_INTEGER = 'A' + '0'.repeat(26);
+
+// Length of the integer part starting with the given character
+const getIntegerLength = (head) => {
+  if (head >= 'a' && head <= 'z') {
+    return head.charCodeAt(0) - 'a'.charCodeAt(0) + 2;
+  }
+  if (head >= 'A' && head <= 'Z') {
+    return 'Z'.charCodeAt(0) - head.charCodeAt(0) + 2;
+  }
+  throw new Error(`Invalid rank head: ${head}`);
+};
+
+const getIntegerPart = (rank) => {
+  const integerLength = getIntegerLength(rank.charAt(0));
+  if (integerLength > rank.length) {
+    throw new Error(`Invalid rank: ${rank}`);
+  }
+  return rank.slice(0, integerLength);
+};
+
+const validateRank = (rank) => {
+  if (rank === SMALLEST_INTEGER) {
+    throw new Error(`Invalid rank: ${rank}`);
+  }
+  // A trailing zero would leave no room to insert before the rank
+  const fraction = rank.slice(getIntegerPart(rank).length);
+  if (fraction.endsWith('0')) {
+    throw new Error(`Invalid rank: ${rank}`);
+  }
+};
+
+// A fraction strictly between a and b (b null meaning 1)
+const midpoint = (a, b) => {
+  if (b !== null) {
+    // Keep the common prefix and bisect what follows it
+    let n = 0;
+    while ((a.charAt(n) || '0') === b.charAt(n)) {
+      n++;
+    }
+    if (n > 0) {
+      return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+    }
+  }
+  
+  const digitA = a ? DIGITS.indexOf(a.charAt(0)) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b.charAt(0)) : DIGITS.length;
+  if (digitB - digitA > 1) {
+    return DIGITS.charAt(Math.round((digitA + digitB) / 2));
+  }
+  
+  // Consecutive digits: b's first digit alone is already between them if b has more
+  if (b && b.length > 1) {
+    return b.slice(0, 1);
+  }
+  return DIGITS.charAt(digitA) + midpoint(a.slice(1), null);
+};
+
+const incrementInteger = (integer) => {
+  const head = integer.charAt(0);
+  const digits = integer.slice(1).split('');
+  let carry = true;
+  for (let i = digits.length - 1; carry && i >= 0; i--) {
+    const digit = DIGITS.indexOf(digits[i]) + 1;
+    if (digit === DIGITS.length) {
+      digits[i] = '0';
+    } else {
+      digits[i] = DIGITS.charAt(digit);
+      carry = false;
+    }
+  }
+  
+  if (!carry) {
+    return head + digits.join('');
+  }
+  if (head === 'Z') {
+    return INTEGER_ZERO;
+  }
+  if (head === 'z') {
+    return null;
+  }
+  const nextHead = String.fromCharCode(head.charCodeAt(0) + 1);
+  if (nextHead > 'a') {
+    digits.push('0');
+  } else {
+    digits.pop();
+  }
+  return nextHead + digits.join('');
+};
+
+const decrementInteger = (integer) => {
+  const head = integer.charAt(0);
+  const digits = integer.slice(1).split('');
+  let borrow = true;
+  for (let i = digits.length - 1; borrow && i >= 0; i--) {
+    const digit = DIGITS.indexOf(digits[i]) - 1;
+    if (digit === -1) {
+      digits[i] = DIGITS.charAt(DIGITS.length - 1);
+    } else {
+      digits[i] = DIGITS.charAt(digit);
+      borrow = false;
+    }
+  }
+  
+  if (!borrow) {
+    return head + digits.join('');
+  }
+  if (head === 'a') {
+    return 'Z' + DIGITS.charAt(DIGITS.length - 1);
+  }
+  if (head === 'A') {
+    return null;
+  }
+  const nextHead = String.fromCharCode(head.charCodeAt(0) - 1);
+  if (nextHead < 'Z') {
+    digits.push(DIGITS.charAt(DIGITS.length - 1));
+  } else {
+    digits.pop();
+  }
+  return nextHead + digits.join('');
+};
+
+// Generate a rank between two ranks; a null before means the start of the column
+// and a null after means its end
+const rankBetween = (before, after) => {
+  if (before !== null) validateRank(before);
+  if (after !== null) validateRank(after);
+  if (before !== null && after !== null && before >= after) {
+    throw new Error(`Rank ${before} is not before ${after}`);
+  }
+  
+  if (before === null) {
+    if (after === null) {
+      return INTEGER_ZERO;
+    }
+    const integerAfter = getIntegerPart(after);
+    if (integerAfter === SMALLEST_INTEGER) {
+      return integerAfter + midpoint('', after.slice(integerAfter.length));
+    }
+    if (integerAfter < after) {
+      return integerAfter;
+    }
+    const decremented = decrementInteger(integerAfter);
+    if (decremented === null) {
+      throw new Error('Cannot rank before the smallest rank');
+    }
+    return decremented;
+  }
+  
+  const integerBefore = getIntegerPart(before);
+  const fractionBefore = before.slice(integerBefore.length);
+  
+  if (after === null) {
+    const incremented = incrementInteger(integerBefore);
+    return incremented === null ? integerBefore + midpoint(fractionBefore, null) : incremented;
+  }
+  
+  const integerAfter = getIntegerPart(after);
+  if (integerBefore === integerAfter) {
+    return integerBefore + midpoint(fractionBefore, after.slice(integerAfter.length));
+  }
+  const incremented = incrementInteger(integerBefore);
+  if (incremented === null) {
+    throw new Error('Cannot rank after the largest rank');
+  }
+  return incremented < after ? incremented : integerBefore + midpoint(fractionBefore, null);
+};
+
+module.exports = {
+  rankBetween
+};
@@ -0,0 +1,202 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const TaskSeries = require('../models/TaskSeries');
+const { recordActivity } = require('./activityLog');
+const { getDefaultStatus } = require('./workflow');
+const { getInitialWatchers } = require('./watchers');
+const { toIdString } = require('./taskAccess');
+const { getInitialAcceptance } = require('./taskAcceptance');
+const { computeSlaDeadlines } = require('./sla');
+
+// How often the scheduler looks for occurrences that are due
+const RECURRENCE_CHECK_INTERVAL_MINUTES = parseInt(process.env.RECURRENCE_CHECK_INTERVAL_MINUTES, 10) || 60;
+
+const FREQUENCY_UNITS = {
+  daily: 'days',
+  weekly: 'weeks',
+  monthly: 'months'
+};
+
+// Validate a recurrence rule from a request body
+const parseRecurrenceRule = (input) => {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Recurrence must be an object' };
+  }
+  
+  const { frequency, interval, unit, endDate, count } = input;
+  
+  if (!['daily', 'weekly', 'monthly', 'custom'].includes(frequency)) {
+    return { error: 'Invalid recurrence frequency' };
+  }
+  
+  const rule = { frequency, interval: 1 };
+  
+  if (interval !== undefined) {
+    const intervalNumber = parseInt(interval, 10);
+    if (isNaN(intervalNumber) || intervalNumber < 1) {
+      return { error: 'Recurrence interval must be a positive number' };
+    }
+    rule.interval = intervalNumber;
+  }
+  
+  if (frequency === 'custom') {
+    if (!['days', 'weeks', 'months'].includes(unit)) {
+      return { error: 'Custom recurrence requires a unit of days, weeks or months' };
+    }
+    rule.unit = unit;
+  }
+  
+  if (endDate) {
+    const endDateObj = new Date(endDate);
+    if (isNaN(endDateObj.getTime())) {
+      return { error: 'Invalid recurrence end date format' };
+    }
+    rule.endDate = endDateObj;
+  }
+  
+  if (count !== undefined && count !== null) {
+    const countNumber = parseInt(count, 10);
+    if (isNaN(countNumber) || countNumber < 1) {
+      return { error: 'Recurrence count must be a positive number' };
+    }
+    rule.count = countNumber;
+  }
+  
+  return { rule };
+};
+
+// Compute the target date of the occurrence after one due on the given date
+const computeNextTargetDate = (date, rule) => {
+  const next = new Date(date);
+  const unit = rule.frequency === 'custom' ? rule.unit : FREQUENCY_UNITS[rule.frequency];
+  const interval = rule.interval || 1;
+  
+  if (unit === 'days') {
+    next.setDate(next.getDate() + interval);
+  } else if (unit === 'weeks') {
+    next.setDate(next.getDate() + interval * 7);
+  } else if (unit === 'months') {
+    // Clamp to the last day of the month (e.g. Jan 31 -> Feb 28)
+    const dayOfMonth = next.getDate();
+    next.setDate(1);
+    next.setMonth(next.getMonth() + interval);
+    const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+    next.setDate(Math.min(dayOfMonth, lastDay));
+  }
+  
+  return next;
+};
+
+// Create the occurrence that follows the given task, if the series continues
+const spawnNextOccurrence = async (task) => {
+  if (!task.seriesId || task.nextOccurrenceId) return null;
+  
+  const series = await TaskSeries.findById(task.seriesId);
+  if (!series || !series.active) return null;
+  
+  const nextIndex = (task.occurrenceIndex || 1) + 1;
+  const nextTargetDate = computeNextTargetDate(task.targetDate, series.rule);
+  
+  // Stop the series once its end date or occurrence count is reached
+  if ((series.rule.count && nextIndex > series.rule.count) ||
+      (series.rule.endDate && nextTargetDate > series.rule.endDate)) {
+    series.active = false;
+    await series.save();
+    return null;
+  }
+  
+  // Claim the slot first so the scheduler and a completion can't both spawn it
+  const nextId = new mongoose.Types.ObjectId();
+  const claimed = await Task.findOneAndUpdate(
+    { _id: task._id, nextOccurrenceId: null },
+    { $set: { nextOccurrenceId: nextId } }
+  );
+  if (!claimed) return null;
+  
+  // Release the claim if the occurrence can't be created, so a later run can retry
+  let nextTask;
+  try {
+    const initialStatus = await getDefaultStatus();
+    const createdAt = new Date();
+    
+    // An assignee who accepted the previous occurrence doesn't have to accept each new one
+    const accepted = !!(task.acceptance && task.acceptance.state === 'accepted' &&
+      toIdString(task.assigneeId) === toIdString(series.template.assigneeId));
+    
+    nextTask = await new Task({
+      _id: nextId,
+      title: series.template.title,
+      description: series.template.description,
+      assigneeId: series.template.assigneeId,
+      targetDate: nextTargetDate,
+      status: initialStatus ? initialStatus.key : 'not-started',
+      statusCategory: initialStatus ? initialStatus.category : 'todo',
+      priority: series.template.priority,
+      tags: series.template.tags,
+      projectId: task.projectId || null,
+      requiresReview: task.requiresReview,
+      acceptance: getInitialAcceptance(series.template.assigneeId, series.createdBy, { accepted, now: createdAt }),
+      sla: await computeSlaDeadlines(series.template.priority, series.template.tags, createdAt),
+      createdAt,
+      assignedDate: new Date(),
+      lastUpdated: new Date(),
+      createdBy: series.createdBy,
+      // Watchers of the previous occurrence keep following the series
+      watchers: getInitialWatchers(series.createdBy, series.template.assigneeId, ...(task.watchers || [])),
+      seriesId: series._id,
+      occurrenceIndex: nextIndex
+    }).save();
+  } catch (error) {
+    await Task.updateOne({ _id: task._id, nextOccurrenceId: nextId }, { $set: { nextOccurrenceId: null } });
+    throw error;
+  }
+  
+  series.occurrenceCount = Math.max(series.occurrenceCount, nextIndex);
+  await series.save();
+  
+  await recordActivity({
+    taskId: nextTask._id,
+    actorId: series.createdBy,
+    action: 'created',
+    details: { seriesId: series._id, previousOccurrenceId: task._id }
+  });
+  
+  console.log('Created next recurring occurrence:', nextTask._id, 'of series', series._id);
+  return nextTask;
+};
+
+// Spawn the next occurrence for every occurrence whose target date has passed
+const processDueRecurrences = async () => {
+  const activeSeriesIds = await TaskSeries.find({ active: true }).distinct('_id');
+  const dueTasks = await Task.find({
+    seriesId: { $in: activeSeriesIds },
+    nextOccurrenceId: null,
+    targetDate: { $lte: new Date() }
+  });
+  
+  for (const task of dueTasks) {
+    try {
+      await spawnNextOccurrence(task);
+    } catch (error) {
+      console.error('Error creating recurring occurrence for task', task._id, error);
+    }
+  }
+};
+
+// Start the background job that keeps recurring series going
+const startRecurrenceScheduler = () => {
+  const run = () => processDueRecurrences().catch(error => {
+    console.error('Recurrence scheduler error:', error);
+  });
+  
+  run();
+  return setInterval(run, RECURRENCE_CHECK_INTERVAL_MINUTES * 60 * 1000);
+};
+
+module.exports = {
+  parseRecurrenceRule,
+  computeNextTargetDate,
+  spawnNextOccurrence,
+  processDueRecurrences,
+  startRecurrenceScheduler
+};
@@ -0,0 +1,146 @@
+const SlaPolicy = require('../models/SlaPolicy');
+const Task = require('../models/Task');
+
+// Policies the SLA configuration starts with: urgent tasks started within 2 hours and done within a day
+const DEFAULT_SLA_POLICIES = [
+  { priority: 'urgent', startWithinMinutes: 120, completeWithinMinutes: 24 * 60 }
+];
+
+// Seed the default policies on first start
+const ensureDefaultSlaPolicies = async () => {
+  try {
+    const existingCount = await SlaPolicy.countDocuments();
+    if (existingCount === 0) {
+      await SlaPolicy.insertMany(DEFAULT_SLA_POLICIES);
+      console.log('✅ Default SLA policies created');
+    }
+  } catch (error) {
+    console.error('❌ Error setting up SLA policies:', error);
+  }
+};
+
+// Find the policy for a priority and tags; a tag policy wins over the plain priority
+// policy, and the strictest one wins when several tags have a policy
+const findSlaPolicy = async (priority, tags = []) => {
+  const normalisedTags = tags.map(tag => String(tag).toLowerCase().trim());
+  const policies = await SlaPolicy.find({
+    priority,
+    active: true,
+    $or: [{ tag: null }, { tag: { $in: normalisedTags } }]
+  });
+  
+  const tagPolicies = policies
+    .filter(policy => policy.tag)
+    .sort((a, b) => (a.completeWithinMinutes || Infinity) - (b.completeWithinMinutes || Infinity));
+  
+  return tagPolicies[0] || policies.find(policy => !policy.tag) || null;
+};
+
+// Compute the SLA deadlines of a task created at the given time
+const computeSlaDeadlines = async (priority, tags, createdAt) => {
+  const policy = await findSlaPolicy(priority, tags);
+  if (!policy) {
+    return { policyId: null, startBy: null, completeBy: null };
+  }
+  
+  const addMinutes = (minutes) => minutes ? new Date(createdAt.getTime() + minutes * 60000) : null;
+  return {
+    policyId: policy._id,
+    startBy: addMinutes(policy.startWithinMinutes),
+    completeBy: addMinutes(policy.completeWithinMinutes)
+  };
+};
+
+// Get the SLA timestamps a status transition sets ($set) or clears ($unset):
+// work starts the first time a task reaches "doing" or "done", and reopening a done
+// task clears its completion
+const getSlaTransitionUpdate = (task, targetCategory, now = new Date()) => {
+  const set = {};
+  const unset = {};
+  const sla = task.sla || {};
+  
+  if (['doing', 'done'].includes(targetCategory) && !sla.startedAt) {
+    set['sla.startedAt'] = now;
+  }
+  
+  if (targetCategory === 'done' && task.statusCategory !== 'done') {
+    set['sla.completedAt'] = now;
+  } else if (targetCategory !== 'done' && task.statusCategory === 'done') {
+    unset['sla.completedAt'] = 1;
+  }
+  
+  return { set, unset };
+};
+
+// Summarise SLA compliance per priority for tasks matching a filter
+const getSlaSummary = async (filter) => {
+  const now = new Date();
+  const breached = (deadline, reachedAt) => ({
+    $cond: [
+      { $and: [{ $ne: [deadline, null] }, { $gt: [{ $ifNull: [reachedAt, now] }, deadline] }] },
+      1,
+      0
+    ]
+  });
+  const minutesSinceCreation = (reachedAt) => ({
+    $cond: [
+      { $ne: [reachedAt, null] },
+      { $divide: [{ $subtract: [reachedAt, '$createdAt'] }, 60000] },
+      null
+    ]
+  });
+  
+  const groups = await Task.aggregateLive([
+    { $match: { $and: [filter, { 'sla.policyId': { $ne: null } }] } },
+    {
+      $group: {
+        _id: '$priority',
+        total: { $sum: 1 },
+        started: { $sum: { $cond: [{ $ne: [{ $ifNull: ['$sla.startedAt', null] }, null] }, 1, 0] } },
+        completed: { $sum: { $cond: [{ $ne: [{ $ifNull: ['$sla.completedAt', null] }, null] }, 1, 0] } },
+        startBreached: { $sum: breached({ $ifNull: ['$sla.startBy', null] }, '$sla.startedAt') },
+        completeBreached: { $sum: breached({ $ifNull: ['$sla.completeBy', null] }, '$sla.completedAt') },
+        avgTimeToStartMinutes: { $avg: minutesSinceCreation({ $ifNull: ['$sla.startedAt', null] }) },
+        avgTimeToCompleteMinutes: { $avg: minutesSinceCreation({ $ifNull: ['$sla.completedAt', null] }) }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+  
+  const rate = (breaches, total) => total > 0 ? Math.round((1 - breaches / total) * 1000) / 10 : null;
+  const round = (value) => value === null ? null : Math.round(value);
+  
+  const byPriority = groups.map(group => ({
+    priority: group._id,
+    total: group.total,
+    started: group.started,
+    completed: group.completed,
+    startBreached: group.startBreached,
+    completeBreached: group.completeBreached,
+    startCompliancePercent: rate(group.startBreached, group.total),
+    completeCompliancePercent: rate(group.completeBreached, group.total),
+    avgTimeToStartMinutes: round(group.avgTimeToStartMinutes),
+    avgTimeToCompleteMinutes: round(group.avgTimeToCompleteMinutes)
+  }));
+  
+  const totals = byPriority.reduce((sum, group) => ({
+    total: sum.total + group.total,
+    startBreached: sum.startBreached + group.startBreached,
+    completeBreached: sum.completeBreached + group.completeBreached
+  }), { total: 0, startBreached: 0, completeBreached: 0 });
+  
+  return {
+    ...totals,
+    startCompliancePercent: rate(totals.startBreached, totals.total),
+    completeCompliancePercent: rate(totals.completeBreached, totals.total),
+    byPriority
+  };
+};
+
+module.exports = {
+  ensureDefaultSlaPolicies,
+  findSlaPolicy,
+  computeSlaDeadlines,
+  getSlaTransitionUpdate,
+  getSlaSummary
+};
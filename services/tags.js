@@ -0,0 +1,140 @@
+const Tag = require('../models/Tag');
+const Task = require('../models/Task');
+const TaskTemplate = require('../models/TaskTemplate');
+const TaskSeries = require('../models/TaskSeries');
+
+// With REJECT_UNKNOWN_TAGS=true tasks can only use tags from the catalogue
+const REJECT_UNKNOWN_TAGS = process.env.REJECT_UNKNOWN_TAGS === 'true';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Trim a tag and collapse its inner whitespace
+const cleanTagName = (tag) => String(tag === undefined || tag === null ? '' : tag).trim().replace(/\s+/g, ' ');
+
+// Catalogue key of a tag: "Bug ", "bug" and "BUG" all match the same tag
+const normalizeTagName = (tag) => cleanTagName(tag).toLowerCase();
+
+// Match task tags to the catalogue, writing known tags with their catalogue name and
+// dropping duplicates; unknown tags are kept as given unless rejectUnknown is set
+const normalizeTags = async (tags, { rejectUnknown = REJECT_UNKNOWN_TAGS } = {}) => {
+  const cleanTags = (Array.isArray(tags) ? tags : []).map(cleanTagName).filter(Boolean);
+  const catalogue = await Tag.find({ normalizedName: { $in: cleanTags.map(normalizeTagName) } });
+  const namesByKey = new Map(catalogue.map(tag => [tag.normalizedName, tag.name]));
+  
+  const normalized = [];
+  const seenKeys = new Set();
+  const unknownTags = [];
+  cleanTags.forEach(tag => {
+    const key = normalizeTagName(tag);
+    if (seenKeys.has(key)) return;
+    seenKeys.add(key);
+    
+    if (namesByKey.has(key)) {
+      normalized.push(namesByKey.get(key));
+    } else if (rejectUnknown) {
+      unknownTags.push(tag);
+    } else {
+      normalized.push(tag);
+    }
+  });
+  
+  if (unknownTags.length > 0) {
+    return { error: 'Unknown tags: ' + unknownTags.join(', '), unknownTags };
+  }
+  return { tags: normalized };
+};
+
+// Aggregation expression computing the catalogue key of a tag the way normalizeTagName
+// does: words joined by single spaces, lower case
+const tagKeyExpression = (input) => ({
+  $toLower: {
+    $reduce: {
+      input: { $regexFindAll: { input, regex: /\S+/ } },
+      initialValue: '',
+      in: {
+        $cond: [{ $eq: ['$$value', ''] }, '$$this.match', { $concat: ['$$value', ' ', '$$this.match'] }]
+      }
+    }
+  }
+});
+
+// Pattern matching any spelling of a catalogue key in a query
+const tagKeyPattern = (key) => new RegExp(`^\\s*${key.split(' ').map(escapeRegExp).join('\\s+')}\\s*$`, 'i');
+
+// Update pipeline stage replacing every tag matching one of the keys with the target
+// name in an array field, keeping the order and dropping duplicates
+const buildTagRewrite = (field, sourceKeys, targetName) => ({
+  $set: {
+    [field]: {
+      $reduce: {
+        input: {
+          $map: {
+            input: { $ifNull: [`$${field}`, []] },
+            as: 'tag',
+            in: {
+              $cond: [
+                { $in: [tagKeyExpression('$$tag'), sourceKeys] },
+                targetName,
+                '$$tag'
+              ]
+            }
+          }
+        },
+        initialValue: [],
+        in: {
+          $cond: [{ $in: ['$$this', '$$value'] }, '$$value', { $concatArrays: ['$$value', ['$$this']] }]
+        }
+      }
+    }
+  }
+});
+
+// Rewrite tags matching any of the source names (case-insensitively) to the target name
+// on tasks, including trashed ones, task templates and recurring series templates
+const rewriteTags = async (sourceNames, targetName) => {
+  const sourceKeys = [...new Set(sourceNames.map(normalizeTagName))];
+  const sourcePatterns = sourceKeys.map(tagKeyPattern);
+  
+  const taskResult = await Task.updateMany(
+    { tags: { $in: sourcePatterns } },
+    [
+      buildTagRewrite('tags', sourceKeys, targetName),
+      { $set: { version: { $add: [{ $ifNull: ['$version', 0] }, 1] } } }
+    ]
+  );
+  await TaskTemplate.updateMany(
+    { tags: { $in: sourcePatterns } },
+    [buildTagRewrite('tags', sourceKeys, targetName)]
+  );
+  await TaskSeries.updateMany(
+    { 'template.tags': { $in: sourcePatterns } },
+    [buildTagRewrite('template.tags', sourceKeys, targetName)]
+  );
+  
+  return { tasksUpdated: taskResult.modifiedCount };
+};
+
+// Count how many tasks use each tag, keyed by normalized name
+const getTagUsage = async () => {
+  const usage = await Task.aggregateLive([
+    { $unwind: '$tags' },
+    {
+      $group: {
+        _id: tagKeyExpression('$tags'),
+        variants: { $addToSet: '$tags' },
+        taskCount: { $sum: 1 }
+      }
+    },
+    { $sort: { taskCount: -1, _id: 1 } }
+  ]);
+  
+  return usage.map(item => ({ normalizedName: item._id, variants: item.variants, taskCount: item.taskCount }));
+};
+
+module.exports = {
+  cleanTagName,
+  normalizeTagName,
+  normalizeTags,
+  rewriteTags,
+  getTagUsage
+};
@@ -0,0 +1,51 @@
+const { toIdString } = require('./taskAccess');
+const { notifyUsers } = require('./watchers');
+
+const ACCEPTANCE_STATES = ['pending', 'accepted', 'declined'];
+
+// Get the acceptance a task starts with when it is assigned: it waits for the assignee
+// to respond, unless the user assigning it is the assignee or accepted is set
+const getInitialAcceptance = (assigneeId, assignedBy, { accepted = false, now = new Date() } = {}) => {
+  const isAccepted = accepted || toIdString(assigneeId) === toIdString(assignedBy);
+  return {
+    state: isAccepted ? 'accepted' : 'pending',
+    requestedAt: now,
+    acceptedAt: isAccepted ? now : null,
+    declinedBy: null,
+    declinedAt: null,
+    declineReason: null
+  };
+};
+
+// Helper function to check if a task is waiting for its assignee to respond
+const isAwaitingAcceptance = (task) => !!(task.acceptance && task.acceptance.state === 'pending');
+
+// Get the fields that accept a waiting task when its assignee starts working on it
+// (changes its status) without accepting it first; null when nothing changes
+const getImplicitAcceptance = (task, currentUser, now = new Date()) => {
+  if (!isAwaitingAcceptance(task) || toIdString(task.assigneeId) !== currentUser._id.toString()) {
+    return null;
+  }
+  return { 'acceptance.state': 'accepted', 'acceptance.acceptedAt': now };
+};
+
+// Email the creator and watchers that the assignee declined a task, with the reason
+const notifyDeclined = async (task, actor) => {
+  const lines = ['This task was declined and returned to its creator'];
+  if (task.acceptance.declineReason) lines.push(`Reason: ${task.acceptance.declineReason}`);
+  
+  await notifyUsers(
+    [...(task.watchers || []), task.createdBy],
+    task,
+    actor,
+    { summary: 'Assignment declined', details: lines.join('\n') }
+  );
+};
+
+module.exports = {
+  ACCEPTANCE_STATES,
+  getInitialAcceptance,
+  isAwaitingAcceptance,
+  getImplicitAcceptance,
+  notifyDeclined
+};
@@ -0,0 +1,382 @@
+const User = require('../models/User');
+const Project = require('../models/Project');
+const { getMemberProjectIds, canViewProject } = require('./projects');
+
+// Helper function to check if user is in manager's team
+const isUserInManagerTeam = async (userId, managerId) => {
+  try {
+    const user = await User.findById(userId);
+    if (!user) return false;
+    
+    // Direct report to manager
+    if (user.managerId && user.managerId.toString() === managerId) {
+      return true;
+    }
+    
+    // Member under supervisor who reports to manager
+    if (user.role === 'member' && user.supervisorId) {
+      const supervisor = await User.findById(user.supervisorId);
+      if (supervisor && supervisor.managerId && supervisor.managerId.toString() === managerId) {
+        return true;
+      }
+    }
+    
+    // Supervisor reporting to manager
+    if (user.role === 'supervisor' && user.managerId && user.managerId.toString() === managerId) {
+      return true;
+    }
+    
+    return false;
+  } catch (error) {
+    console.error('Error checking if user is in manager team:', error);
+    return false;
+  }
+};
+
+// Helper function to get assignable users
+const getAssignableUsers = async (currentUser) => {
+  try {
+    const allUsers = await User.find({ status: 'active' }).select('-password');
+    let assignableUsers = [];
+    
+    switch (currentUser.role) {
+      case 'super_admin':
+        // Super admin can assign to anyone
+        assignableUsers = allUsers.filter(user => user._id.toString() !== currentUser._id.toString());
+        break;
+        
+      case 'manager':
+        // Manager can assign to:
+        // 1. Supervisors under them
+        // 2. Members under them (direct reports)
+        // 3. Members under their supervisors
+        // 4. Other managers (for reassignment)
+        assignableUsers = allUsers.filter(user => {
+          if (user._id.toString() === currentUser._id.toString()) return false;
+          
+          // Include supervisors reporting to this manager
+          if (user.role === 'supervisor' && user.managerId && user.managerId.toString() === currentUser._id.toString()) {
+            return true;
+          }
+          
+          // Include members reporting directly to this manager
+          if (user.role === 'member' && user.managerId && user.managerId.toString() === currentUser._id.toString()) {
+            return true;
+          }
+          
+          // Include members under supervisors of this manager
+          if (user.role === 'member' && user.supervisorId) {
+            const supervisor = allUsers.find(s => s._id.toString() === user.supervisorId.toString());
+            if (supervisor && supervisor.managerId && supervisor.managerId.toString() === currentUser._id.toString()) {
+              return true;
+            }
+          }
+          
+          // Include other managers for reassignment
+          if (user.role === 'manager') {
+            return true;
+          }
+          
+          return false;
+        });
+        break;
+        
+      case 'supervisor':
+        // Supervisor can assign to:
+        // 1. Members under them
+        // 2. Themselves
+        assignableUsers = allUsers.filter(user => {
+          if (user._id.toString() === currentUser._id.toString()) return true;
+          
+          // Include members reporting to this supervisor
+          if (user.role === 'member' && user.supervisorId && user.supervisorId.toString() === currentUser._id.toString()) {
+            return true;
+          }
+          
+          return false;
+        });
+        break;
+        
+      case 'member':
+        // Member can only assign to themselves
+        assignableUsers = [currentUser];
+        break;
+        
+      default:
+        assignableUsers = [];
+    }
+    
+    return assignableUsers;
+  } catch (error) {
+    console.error('Error getting assignable users:', error);
+    return [];
+  }
+};
+
+// Helper function to get the string form of a populated or raw reference
+const toIdString = (ref) => (ref && ref._id ? ref._id : ref).toString();
+
+// Helper function to check if user can work on a task (comment, attach files, log time)
+// through the team hierarchy; unlike canViewTask, watching the task or being a member of
+// its project is not enough
+const canWorkOnTask = async (currentUser, task) => {
+  const assigneeId = toIdString(task.assigneeId);
+  const currentUserId = currentUser._id.toString();
+  
+  if (currentUser.role === 'super_admin') {
+    return true;
+  }
+  
+  if (currentUser.role === 'manager') {
+    // Manager can view tasks of their team or tasks they created
+    if (task.createdBy && toIdString(task.createdBy) === currentUserId) {
+      return true;
+    }
+    return await isUserInManagerTeam(assigneeId, currentUserId);
+  }
+  
+  if (currentUser.role === 'supervisor') {
+    // Supervisor can view their own tasks and their team's tasks
+    if (assigneeId === currentUserId) {
+      return true;
+    }
+    const teamMember = await User.findById(assigneeId);
+    return !!(teamMember && teamMember.supervisorId && teamMember.supervisorId.toString() === currentUserId);
+  }
+  
+  if (currentUser.role === 'member') {
+    // Member can only view their own tasks
+    return assigneeId === currentUserId;
+  }
+  
+  return false;
+};
+
+// Helper function to check if user can view a task
+const canViewTask = async (currentUser, task) => {
+  if (await canWorkOnTask(currentUser, task)) {
+    return true;
+  }
+  
+  // Watchers can view the task whatever their role, read-only
+  const currentUserId = currentUser._id.toString();
+  if ((task.watchers || []).some(watcherId => toIdString(watcherId) === currentUserId)) {
+    return true;
+  }
+  
+  // So can the members of the task's project
+  if (task.projectId) {
+    const project = await Project.findById(toIdString(task.projectId)).select('ownerId members');
+    return !!(project && canViewProject(currentUser, project));
+  }
+  
+  return false;
+};
+
+// Helper function to check if user can edit a task
+const getEditPermission = async (currentUser, task) => {
+  const assigneeId = toIdString(task.assigneeId);
+  const currentUserId = currentUser._id.toString();
+  
+  // Rule 1: Creator can edit
+  if (task.createdBy && toIdString(task.createdBy) === currentUserId) {
+    return { canEdit: true, editReason: 'User is task creator' };
+  }
+  
+  // Rule 2: Current assignee can edit (if they're supervisor or higher)
+  if (assigneeId === currentUserId && ['supervisor', 'manager', 'super_admin'].includes(currentUser.role)) {
+    return { canEdit: true, editReason: 'User is task assignee with appropriate role' };
+  }
+  
+  // Rule 3: Manager can edit tasks of their team
+  if (currentUser.role === 'manager') {
+    const isTeamTask = await isUserInManagerTeam(assigneeId, currentUserId);
+    return isTeamTask
+      ? { canEdit: true, editReason: 'Manager editing team task' }
+      : { canEdit: false, editReason: '' };
+  }
+  
+  // Rule 4: Supervisor can edit tasks assigned to their team members
+  if (currentUser.role === 'supervisor') {
+    const taskAssignee = await User.findById(assigneeId);
+    if (taskAssignee && taskAssignee.supervisorId && 
+        taskAssignee.supervisorId.toString() === currentUserId) {
+      return { canEdit: true, editReason: 'Supervisor editing team member task' };
+    }
+    return { canEdit: false, editReason: '' };
+  }
+  
+  // Rule 5: Super admin can edit any task
+  if (currentUser.role === 'super_admin') {
+    return { canEdit: true, editReason: 'Super admin' };
+  }
+  
+  return { canEdit: false, editReason: '' };
+};
+
+// Helper function to check if user can update a task's status
+const getStatusUpdatePermission = async (currentUser, task) => {
+  const assigneeId = toIdString(task.assigneeId);
+  const currentUserId = currentUser._id.toString();
+  
+  // Task assignee can update status
+  if (assigneeId === currentUserId) {
+    return { canUpdate: true, updateReason: 'User is task assignee' };
+  }
+  
+  // Task creator can update status
+  if (task.createdBy && toIdString(task.createdBy) === currentUserId) {
+    return { canUpdate: true, updateReason: 'User is task creator' };
+  }
+  
+  // Manager can update status of team tasks
+  if (currentUser.role === 'manager') {
+    const isTeamTask = await isUserInManagerTeam(assigneeId, currentUserId);
+    return isTeamTask
+      ? { canUpdate: true, updateReason: 'Manager updating team task status' }
+      : { canUpdate: false, updateReason: '' };
+  }
+  
+  // Supervisor can update status of their team's tasks
+  if (currentUser.role === 'supervisor') {
+    const taskAssignee = await User.findById(assigneeId);
+    if (taskAssignee && taskAssignee.supervisorId && 
+        taskAssignee.supervisorId.toString() === currentUserId) {
+      return { canUpdate: true, updateReason: 'Supervisor updating team task status' };
+    }
+    return { canUpdate: false, updateReason: '' };
+  }
+  
+  // Super admin can update any task
+  if (currentUser.role === 'super_admin') {
+    return { canUpdate: true, updateReason: 'Super admin' };
+  }
+  
+  return { canUpdate: false, updateReason: '' };
+};
+
+// Helper function to check if user can reassign a task to someone else
+const canReassignTask = (currentUser, task) => {
+  const currentUserId = currentUser._id.toString();
+  
+  // Rule 1: Creator can reassign
+  if (task.createdBy && toIdString(task.createdBy) === currentUserId) {
+    return true;
+  }
+  
+  // Rule 2: Current assignee can reassign (if they're supervisor or higher)
+  if (toIdString(task.assigneeId) === currentUserId && 
+      ['supervisor', 'manager', 'super_admin'].includes(currentUser.role)) {
+    return true;
+  }
+  
+  // Rule 3 and 4: Managers and super admins can reassign
+  return ['manager', 'super_admin'].includes(currentUser.role);
+};
+
+// Helper function to check if user can delete a task
+const canDeleteTask = async (currentUser, task) => {
+  const currentUserId = currentUser._id.toString();
+  
+  // Rule 1: Manager can delete tasks created by them or their team
+  if (currentUser.role === 'manager') {
+    if (task.createdBy && toIdString(task.createdBy) === currentUserId) {
+      return true; // Manager created the task
+    }
+    // Check if task is from manager's team
+    return await isUserInManagerTeam(toIdString(task.assigneeId), currentUserId);
+  }
+  
+  // Rule 2: Super admin can delete any task
+  return currentUser.role === 'super_admin';
+};
+
+// Helper function to get the ids of the users whose work a user oversees (their team and themselves)
+const getTeamMemberIds = async (currentUser) => {
+  if (currentUser.role === 'manager') {
+    // Get all users under this manager
+    const directReports = await User.find({ managerId: currentUser._id }).distinct('_id');
+    const supervisors = await User.find({ managerId: currentUser._id, role: 'supervisor' }).distinct('_id');
+    const indirectReports = await User.find({ supervisorId: { $in: supervisors } }).distinct('_id');
+    
+    return [...directReports, ...indirectReports, currentUser._id];
+  }
+  
+  if (currentUser.role === 'supervisor') {
+    // Get members under this supervisor
+    const teamMembers = await User.find({ supervisorId: currentUser._id }).distinct('_id');
+    return [...teamMembers, currentUser._id];
+  }
+  
+  // Members can only see their own work
+  return [currentUser._id];
+};
+
+// Helper function to get the task filter of the reporting hierarchy
+const getHierarchyScopeFilter = async (currentUser) => {
+  switch (currentUser.role) {
+    case 'super_admin':
+      // Super admin can see all tasks
+      return {};
+      
+    case 'manager': {
+      // Manager can see tasks assigned to their team
+      const teamMembers = await User.find({
+        $or: [
+          { managerId: currentUser._id },
+          { supervisorId: { $in: await User.find({ managerId: currentUser._id }).distinct('_id') } }
+        ]
+      }).distinct('_id');
+      
+      teamMembers.push(currentUser._id); // Include manager's own tasks
+      return { assigneeId: { $in: teamMembers } };
+    }
+      
+    case 'supervisor': {
+      // Supervisor can see their tasks and their team members' tasks
+      const supervisorTeam = await User.find({ 
+        supervisorId: currentUser._id 
+      }).distinct('_id');
+      
+      supervisorTeam.push(currentUser._id); // Include supervisor's own tasks
+      return { assigneeId: { $in: supervisorTeam } };
+    }
+      
+    case 'member':
+      // Member can only see their own tasks
+      return { assigneeId: currentUser._id };
+      
+    default:
+      return null;
+  }
+};
+
+// Helper function to get the task filter matching what a user can see in task listings:
+// their part of the hierarchy plus the tasks of projects they belong to
+const getTaskScopeFilter = async (currentUser) => {
+  const hierarchyFilter = await getHierarchyScopeFilter(currentUser);
+  if (!hierarchyFilter || currentUser.role === 'super_admin') {
+    return hierarchyFilter;
+  }
+  
+  const projectIds = await getMemberProjectIds(currentUser);
+  if (projectIds.length === 0) {
+    return hierarchyFilter;
+  }
+  
+  return { $or: [hierarchyFilter, { projectId: { $in: projectIds } }] };
+};
+
+module.exports = {
+  isUserInManagerTeam,
+  getAssignableUsers,
+  toIdString,
+  canWorkOnTask,
+  canViewTask,
+  getEditPermission,
+  getStatusUpdatePermission,
+  canReassignTask,
+  canDeleteTask,
+  getTeamMemberIds,
+  getTaskScopeFilter
+};
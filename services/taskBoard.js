@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const WorkflowStatus = require('../models/WorkflowStatus');
+const { rankBetween } = require('./rank');
+
+// Rank placing a task at the bottom of a status column
+const getRankAtEnd = async (status, excludeTaskId = null) => {
+  const filter = { status, rank: { $ne: null } };
+  if (excludeTaskId) {
+    filter._id = { $ne: excludeTaskId };
+  }
+  
+  const lastTask = await Task.findOne(filter).sort({ rank: -1 }).select('rank');
+  return rankBetween(lastTask ? lastTask.rank : null, null);
+};
+
+// Load a neighbouring card of a move, which must already sit in the target column
+const loadNeighbour = async (id, param, task, status) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return { error: `Invalid ${param} format` };
+  }
+  if (id === task._id.toString()) {
+    return { error: `${param} cannot be the moved task` };
+  }
+  
+  const neighbour = await Task.findById(id).select('status rank');
+  if (!neighbour) {
+    return { error: `${param} not found` };
+  }
+  if (neighbour.status !== status || !neighbour.rank) {
+    return { error: `${param} is not in the target column` };
+  }
+  
+  return { neighbour };
+};
+
+// Helper function to give the tasks of a column sharing a rank distinct ranks, keeping
+// their board order (rank, then id); appends aren't atomic, so two tasks added to a
+// column at the same time can get the same rank. Returns whether any rank changed.
+const spreadTiedRank = async (status, rank, excludeTaskId) => {
+  const otherTasks = { status, _id: { $ne: excludeTaskId } };
+  const tiedTasks = await Task.find({ ...otherTasks, rank }).sort({ _id: 1 }).select('_id');
+  if (tiedTasks.length < 2) {
+    return false;
+  }
+  
+  const nextTask = await Task.findOne({ ...otherTasks, rank: { $gt: rank } }).sort({ rank: 1 }).select('rank');
+  let previousRank = rank;
+  for (const tiedTask of tiedTasks.slice(1)) {
+    previousRank = rankBetween(previousRank, nextTask ? nextTask.rank : null);
+    await Task.updateOne({ _id: tiedTask._id }, { $set: { rank: previousRank }, $inc: { version: 1 } });
+  }
+  return true;
+};
+
+// Work out the rank of a task moved into a column, right after afterTaskId and/or
+// right before beforeTaskId; without either it goes to the bottom of the column
+const getMoveRank = async (task, status, { afterTaskId, beforeTaskId } = {}, spreadTies = true) => {
+  let previousRank = null;
+  let nextRank = null;
+  
+  if (afterTaskId) {
+    const { neighbour, error } = await loadNeighbour(afterTaskId, 'afterTaskId', task, status);
+    if (error) return { error };
+    previousRank = neighbour.rank;
+  }
+  
+  if (beforeTaskId) {
+    const { neighbour, error } = await loadNeighbour(beforeTaskId, 'beforeTaskId', task, status);
+    if (error) return { error };
+    nextRank = neighbour.rank;
+  }
+  
+  if (!afterTaskId && !beforeTaskId) {
+    return { rank: await getRankAtEnd(status, task._id) };
+  }
+  
+  // A neighbour sharing its rank with other tasks leaves no room next to it, so spread
+  // those tasks out and load the neighbours again
+  if (spreadTies) {
+    let spread = false;
+    for (const rank of [previousRank, nextRank]) {
+      if (rank && await spreadTiedRank(status, rank, task._id)) {
+        spread = true;
+      }
+    }
+    if (spread) {
+      return getMoveRank(task, status, { afterTaskId, beforeTaskId }, false);
+    }
+  }
+  
+  // With a single neighbour, the card on its other side bounds the new rank
+  const otherTasks = { status, _id: { $ne: task._id } };
+  if (afterTaskId && !beforeTaskId) {
+    const nextTask = await Task.findOne({ ...otherTasks, rank: { $gt: previousRank } }).sort({ rank: 1 }).select('rank');
+    nextRank = nextTask ? nextTask.rank : null;
+  } else if (beforeTaskId && !afterTaskId) {
+    const previousTask = await Task.findOne({ ...otherTasks, rank: { $lt: nextRank } }).sort({ rank: -1 }).select('rank');
+    previousRank = previousTask ? previousTask.rank : null;
+  } else if (previousRank >= nextRank) {
+    return { error: 'afterTaskId must come before beforeTaskId in the column' };
+  }
+  
+  return { rank: rankBetween(previousRank, nextRank) };
+};
+
+// Group the tasks matching a filter into the board's status columns, in rank order;
+// inactive statuses only get a column while tasks still use them
+const getBoard = async (filter) => {
+  const statuses = await WorkflowStatus.find().sort({ order: 1, name: 1 });
+  const tasks = await Task.find(filter)
+    .populate('assigneeId', 'name email')
+    .populate('createdBy', 'name email')
+    .sort({ rank: 1, _id: 1 });
+  
+  const columns = statuses.map(status => ({
+    status: status.key,
+    name: status.name,
+    category: status.category,
+    color: status.color,
+    active: status.active,
+    tasks: []
+  }));
+  const columnsByStatus = new Map(columns.map(column => [column.status, column]));
+  
+  tasks.forEach(task => {
+    let column = columnsByStatus.get(task.status);
+    if (!column) {
+      // Statuses that are no longer configured
+      column = { status: task.status, name: task.status, category: task.statusCategory, active: false, tasks: [] };
+      columnsByStatus.set(task.status, column);
+      columns.push(column);
+    }
+    column.tasks.push(task);
+  });
+  
+  return columns.filter(column => column.active || column.tasks.length > 0);
+};
+
+// Give tasks created before board ordering a rank, below the ranked tasks of their
+// status and most recently updated first (the old listing order)
+const ensureTaskRanks = async () => {
+  try {
+    const statuses = await Task.distinct('status', { rank: null }).setOptions({ includeTrashed: true });
+    let rankedCount = 0;
+    
+    for (const status of statuses) {
+      const lastTask = await Task.findOne({ status, rank: { $ne: null } })
+        .setOptions({ includeTrashed: true })
+        .sort({ rank: -1 })
+        .select('rank');
+      const unrankedTasks = await Task.find({ status, rank: null })
+        .setOptions({ includeTrashed: true })
+        .sort({ lastUpdated: -1 })
+        .select('_id');
+      
+      let rank = lastTask ? lastTask.rank : null;
+      const operations = unrankedTasks.map(task => {
+        rank = rankBetween(rank, null);
+        return { updateOne: { filter: { _id: task._id }, update: { $set: { rank } } } };
+      });
+      
+      if (operations.length > 0) {
+        await Task.bulkWrite(operations);
+        rankedCount += operations.length;
+      }
+    }
+    
+    if (rankedCount > 0) {
+      console.log(`✅ Board positions assigned to ${rankedCount} tasks`);
+    }
+  } catch (error) {
+    console.error('❌ Error assigning board positions:', error);
+  }
+};
+
+module.exports = {
+  getRankAtEnd,
+  getMoveRank,
+  getBoard,
+  ensureTaskRanks
+};
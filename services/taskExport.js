@@ -0,0 +1,190 @@
+const { Writable } = require('stream');
+const ExcelJS = require('exceljs');
+const Task = require('../models/Task');
+const WorkflowStatus = require('../models/WorkflowStatus');
+const { formatCsvRow } = require('./csv');
+
+// Columns that can be exported, in their default order
+const EXPORT_COLUMNS = {
+  id: { header: 'ID', value: (task) => task._id.toString() },
+  title: { header: 'Title', value: (task) => task.title },
+  description: { header: 'Description', value: (task) => task.description },
+  status: { header: 'Status', value: (task, ctx) => ctx.statusNames[task.status] || task.status },
+  priority: { header: 'Priority', value: (task) => task.priority },
+  assignee: { header: 'Assignee', value: (task) => task.assigneeId ? task.assigneeId.name : '' },
+  assigneeEmail: { header: 'Assignee Email', value: (task) => task.assigneeId ? task.assigneeId.email : '' },
+  createdBy: { header: 'Created By', value: (task) => task.createdBy ? task.createdBy.name : '' },
+  targetDate: { header: 'Target Date', value: (task, ctx) => ctx.formatDate(task.targetDate) },
+  assignedDate: { header: 'Assigned Date', value: (task, ctx) => ctx.formatDate(task.assignedDate) },
+  completedDate: { header: 'Completed Date', value: (task, ctx) => ctx.formatDate(task.completedDate) },
+  lastUpdated: { header: 'Last Updated', value: (task, ctx) => ctx.formatDate(task.lastUpdated) },
+  createdAt: { header: 'Created At', value: (task, ctx) => ctx.formatDate(task.createdAt) },
+  tags: { header: 'Tags', value: (task) => (task.tags || []).join('; ') },
+  progress: { header: 'Progress (%)', value: (task) => task.progress },
+  estimatedMinutes: { header: 'Estimated Minutes', value: (task) => task.estimatedMinutes },
+  overdue: { header: 'Overdue', value: (task) => task.isOverdue ? 'Yes' : 'No' },
+  acceptance: { header: 'Acceptance', value: (task) => task.acceptance && task.acceptance.state ? task.acceptance.state : '' },
+  acceptedAt: { header: 'Accepted At', value: (task, ctx) => ctx.formatDate(task.acceptance && task.acceptance.acceptedAt) }
+};
+
+const DEFAULT_EXPORT_COLUMNS = ['title', 'status', 'priority', 'assignee', 'createdBy', 'targetDate', 'completedDate', 'tags'];
+
+// Parse the format, columns and timezone of an export request
+const parseExportOptions = (query = {}) => {
+  // A repeated format parameter is parsed as an array
+  const format = typeof query.format === 'string' ? query.format.toLowerCase() : query.format || 'csv';
+  if (!['csv', 'xlsx'].includes(format)) {
+    return { error: 'Invalid export format. Must be one of: csv, xlsx' };
+  }
+  
+  const columns = query.columns
+    ? String(query.columns).split(',').map(column => column.trim()).filter(Boolean)
+    : DEFAULT_EXPORT_COLUMNS;
+  const unknownColumns = columns.filter(column => !EXPORT_COLUMNS[column]);
+  if (columns.length === 0 || unknownColumns.length > 0) {
+    return { error: 'Invalid export columns. Must be any of: ' + Object.keys(EXPORT_COLUMNS).join(', ') };
+  }
+  
+  // Dates are written in the requester's IANA timezone, e.g. Asia/Kolkata
+  const timezone = query.timezone || 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (error) {
+    return { error: 'Invalid timezone' };
+  }
+  
+  return { exportOptions: { format, columns, timezone } };
+};
+
+// Build a formatter writing dates as YYYY-MM-DD HH:mm in a timezone
+const createDateFormatter = (timezone) => {
+  const formatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  });
+  
+  return (date) => {
+    if (!date) return '';
+    const parts = Object.fromEntries(formatter.formatToParts(date).map(part => [part.type, part.value]));
+    return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`;
+  };
+};
+
+// Helper function to wait until a stream can take more data; resolves false when it was
+// closed instead (the client disconnected)
+const waitForDrain = (stream) => new Promise((resolve) => {
+  if (stream.destroyed) {
+    resolve(false);
+    return;
+  }
+  
+  const onDrain = () => {
+    stream.off('close', onClose);
+    resolve(true);
+  };
+  const onClose = () => {
+    stream.off('drain', onDrain);
+    resolve(false);
+  };
+  stream.once('drain', onDrain);
+  stream.once('close', onClose);
+});
+
+// Helper function to create the stream the XLSX writer writes to: it passes the data on to
+// the response and holds each chunk until the response drained, so the export can wait
+// for a slow client. It closes when the client disconnects.
+const createResponseStream = (res) => {
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      if (res.write(chunk)) {
+        callback();
+      } else {
+        waitForDrain(res).then(() => callback());
+      }
+    },
+    final(callback) {
+      res.end();
+      callback();
+    }
+  });
+  res.once('close', () => output.destroy());
+  return output;
+};
+
+// Stream every task matching a listing (filters and sort, without pagination) as CSV or XLSX,
+// reading tasks from a cursor so large exports are never held in memory
+const streamTaskExport = async (res, scopeFilter, listQuery, { format, columns, timezone }) => {
+  const { conditions, sortField, sortDirection } = listQuery;
+  
+  const statuses = await WorkflowStatus.find().select('key name');
+  const ctx = {
+    statusNames: Object.fromEntries(statuses.map(status => [status.key, status.name])),
+    formatDate: createDateFormatter(timezone)
+  };
+  const toValues = (task) => columns.map(column => {
+    const value = EXPORT_COLUMNS[column].value(task, ctx);
+    return value === undefined || value === null ? '' : value;
+  });
+  
+  const cursor = Task.find({ $and: [scopeFilter, ...conditions] })
+    .populate('assigneeId', 'name email')
+    .populate('createdBy', 'name email')
+    .sort({ [sortField]: sortDirection, _id: sortDirection })
+    .cursor();
+  
+  const filename = `tasks-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  
+  try {
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      // Byte order mark so Excel reads the file as UTF-8
+      res.write('\ufeff' + formatCsvRow(columns.map(column => EXPORT_COLUMNS[column].header)));
+      
+      for await (const task of cursor) {
+        // Stop reading tasks once the client is gone
+        if (!res.write(formatCsvRow(toValues(task))) && !(await waitForDrain(res))) {
+          return;
+        }
+      }
+      
+      res.end();
+      return;
+    }
+    
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    const output = createResponseStream(res);
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+    const worksheet = workbook.addWorksheet('Tasks');
+    worksheet.columns = columns.map(column => ({
+      header: EXPORT_COLUMNS[column].header,
+      key: column,
+      width: column === 'description' ? 50 : 20
+    }));
+    worksheet.getRow(1).font = { bold: true };
+    
+    for await (const task of cursor) {
+      worksheet.addRow(toValues(task)).commit();
+      // Stop reading tasks while the client is behind, and once it is gone
+      if ((output.writableNeedDrain || output.destroyed) && !(await waitForDrain(output))) {
+        return;
+      }
+    }
+    
+    worksheet.commit();
+    await workbook.commit();
+  } finally {
+    await cursor.close();
+  }
+};
+
+module.exports = {
+  EXPORT_COLUMNS,
+  parseExportOptions,
+  streamTaskExport
+};
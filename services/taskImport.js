@@ -0,0 +1,255 @@
+const multer = require('multer');
+const path = require('path');
+const Task = require('../models/Task');
+const TaskActivity = require('../models/TaskActivity');
+const { parseCsv } = require('./csv');
+const { getAssignableUsers } = require('./taskAccess');
+const { getWorkflowStatuses, getDefaultStatus } = require('./workflow');
+const { computeSlaDeadlines } = require('./sla');
+const { getInitialWatchers } = require('./watchers');
+const { getInitialAcceptance } = require('./taskAcceptance');
+const { canCreateInStatus } = require('./taskReview');
+const { normalizeTags } = require('./tags');
+const { recordActivity } = require('./activityLog');
+
+const MAX_IMPORT_ROWS = 1000;
+const MAX_IMPORT_FILE_SIZE = 2 * 1024 * 1024;
+
+const VALID_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Accepted header names for each column, compared without case, spaces or underscores
+const IMPORT_COLUMNS = {
+  title: ['title'],
+  description: ['description'],
+  assigneeEmail: ['assigneeemail', 'assignee', 'email'],
+  targetDate: ['targetdate', 'duedate', 'due'],
+  priority: ['priority'],
+  tags: ['tags'],
+  status: ['status']
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMPORT_FILE_SIZE,
+    files: 1
+  },
+  fileFilter: function (req, file, cb) {
+    const isCsv = ['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(file.mimetype) ||
+      path.extname(file.originalname).toLowerCase() === '.csv';
+    if (isCsv) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files can be imported'), false);
+    }
+  }
+});
+
+// Middleware that accepts a CSV file in the "file" field and turns multer errors into 400 responses
+const uploadImportFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? 'File is too large'
+        : error.message;
+      return res.status(400).json({ message });
+    }
+    next();
+  });
+};
+
+// Map header cells to import columns
+const mapHeader = (headerRow) => {
+  const columnIndexes = {};
+  headerRow.forEach((header, index) => {
+    const normalised = header.toLowerCase().replace(/[\s_-]/g, '');
+    const column = Object.keys(IMPORT_COLUMNS).find(key => IMPORT_COLUMNS[key].includes(normalised));
+    if (column && columnIndexes[column] === undefined) {
+      columnIndexes[column] = index;
+    }
+  });
+  return columnIndexes;
+};
+
+// Parse and validate an import file; every row gets either its task fields or its errors.
+// Row numbers count the header as row 1, matching what a spreadsheet shows
+const validateImport = async (csvText, currentUser) => {
+  const [headerRow, ...dataRows] = parseCsv(csvText);
+  if (!headerRow) {
+    return { error: 'The file is empty' };
+  }
+  
+  const columnIndexes = mapHeader(headerRow);
+  const missingColumns = ['title', 'assigneeEmail', 'targetDate'].filter(column => columnIndexes[column] === undefined);
+  if (missingColumns.length > 0) {
+    return { error: 'Missing required columns: ' + missingColumns.join(', ') };
+  }
+  
+  if (dataRows.length === 0) {
+    return { error: 'The file has no task rows' };
+  }
+  
+  if (dataRows.length > MAX_IMPORT_ROWS) {
+    return { error: `A file can contain at most ${MAX_IMPORT_ROWS} tasks` };
+  }
+  
+  // Assignees are resolved by email among the users the importer may assign to
+  const assignableUsers = await getAssignableUsers(currentUser);
+  const usersByEmail = new Map(assignableUsers.map(user => [user.email.toLowerCase(), user]));
+  
+  const statuses = await getWorkflowStatuses();
+  const defaultStatus = await getDefaultStatus();
+  
+  const rows = dataRows.map((cells, index) => {
+    const value = (column) => columnIndexes[column] === undefined ? '' : (cells[columnIndexes[column]] || '').trim();
+    const errors = [];
+    
+    const title = value('title');
+    if (!title) errors.push('Title is required');
+    
+    // Tasks require a description, so an empty one falls back to the title
+    const description = value('description') || title;
+    
+    const assigneeEmail = value('assigneeEmail').toLowerCase();
+    const assignee = usersByEmail.get(assigneeEmail);
+    if (!assigneeEmail) {
+      errors.push('Assignee email is required');
+    } else if (!assignee) {
+      errors.push(`You cannot assign tasks to ${assigneeEmail}`);
+    }
+    
+    const targetDate = new Date(value('targetDate'));
+    if (!value('targetDate')) {
+      errors.push('Target date is required');
+    } else if (isNaN(targetDate.getTime())) {
+      errors.push('Invalid target date format');
+    }
+    
+    const priority = (value('priority') || 'medium').toLowerCase();
+    if (!VALID_PRIORITIES.includes(priority)) {
+      errors.push('Invalid priority value');
+    }
+    
+    // Tags are separated by semicolons or pipes, since commas separate the columns
+    const tags = value('tags').split(/[;|]/).map(tag => tag.trim()).filter(Boolean);
+    
+    // Statuses can be given by key or by name
+    const statusValue = value('status').toLowerCase();
+    const status = statusValue
+      ? statuses.find(item => item.key === statusValue || item.name.toLowerCase() === statusValue)
+      : defaultStatus;
+    if (!status) {
+      errors.push('Invalid status value');
+    }
+    
+    return {
+      row: index + 2,
+      errors,
+      fields: errors.length > 0 ? null : {
+        title,
+        description,
+        assignee: { id: assignee._id, name: assignee.name, email: assignee.email },
+        targetDate,
+        priority,
+        tags,
+        status: status.key,
+        statusCategory: status.category
+      }
+    };
+  });
+  
+  for (const row of rows) {
+    if (!row.fields) continue;
+    
+    // Tags are matched to the catalogue like those of tasks created in the app
+    const tagCheck = await normalizeTags(row.fields.tags);
+    if (tagCheck.error) {
+      row.errors.push(tagCheck.error);
+      row.fields = null;
+      continue;
+    }
+    row.fields.tags = tagCheck.tags;
+    
+    // Importing a task as completed must not skip its review
+    if (row.fields.statusCategory === 'done') {
+      const status = { key: row.fields.status, category: row.fields.statusCategory };
+      if (!(await canCreateInStatus(currentUser, { assigneeId: row.fields.assignee.id }, status))) {
+        row.errors.push('This task needs review, so it cannot be imported as completed');
+        row.fields = null;
+      }
+    }
+  }
+  
+  return { rows };
+};
+
+// Create a task from validated import fields
+const createImportedTask = async (fields, currentUser) => {
+  const createdAt = new Date();
+  const isStarted = ['doing', 'done'].includes(fields.statusCategory);
+  const isDone = fields.statusCategory === 'done';
+  
+  const task = await new Task({
+    title: fields.title,
+    description: fields.description,
+    assigneeId: fields.assignee.id,
+    targetDate: fields.targetDate,
+    status: fields.status,
+    statusCategory: fields.statusCategory,
+    completedDate: isDone ? createdAt : undefined,
+    priority: fields.priority,
+    tags: fields.tags,
+    sla: {
+      ...(await computeSlaDeadlines(fields.priority, fields.tags, createdAt)),
+      startedAt: isStarted ? createdAt : null,
+      completedAt: isDone ? createdAt : null
+    },
+    createdAt,
+    assignedDate: createdAt,
+    lastUpdated: createdAt,
+    createdBy: currentUser._id,
+    watchers: getInitialWatchers(currentUser._id, fields.assignee.id),
+    acceptance: getInitialAcceptance(fields.assignee.id, currentUser._id, { now: createdAt })
+  }).save();
+  
+  await recordActivity({
+    taskId: task._id,
+    actorId: currentUser._id,
+    action: 'created',
+    details: { imported: true }
+  });
+  
+  return task;
+};
+
+// Create the tasks of valid rows; in atomic mode a failure removes the tasks already created
+const commitImport = async (rows, currentUser, atomic) => {
+  const created = [];
+  const failed = [];
+  
+  for (const row of rows) {
+    try {
+      const task = await createImportedTask(row.fields, currentUser);
+      created.push({ row: row.row, taskId: task._id });
+    } catch (error) {
+      console.error('Error importing task row', row.row, error);
+      failed.push({ row: row.row, errors: ['Task could not be saved'] });
+      
+      if (atomic) {
+        const createdIds = created.map(item => item.taskId);
+        await Task.deleteMany({ _id: { $in: createdIds } });
+        await TaskActivity.deleteMany({ taskId: { $in: createdIds } });
+        return { created: [], failed, rolledBack: true };
+      }
+    }
+  }
+  
+  return { created, failed, rolledBack: false };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  uploadImportFile,
+  validateImport,
+  commitImport
+};
@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const { ACCEPTANCE_STATES } = require('./taskAcceptance');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Fields task listings can be sorted by
+const SORTABLE_FIELDS = ['lastUpdated', 'targetDate', 'createdAt', 'assignedDate', 'completedDate', 'deletedAt', 'title', 'status', 'rank'];
+const DATE_SORT_FIELDS = ['lastUpdated', 'targetDate', 'createdAt', 'assignedDate', 'completedDate', 'deletedAt'];
+
+// Split a comma-separated (or repeated) query parameter into values
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(item => String(item).trim()).filter(Boolean);
+};
+
+// Parse a date query parameter, returning undefined when absent
+const toDate = (value, name) => {
+  if (!value) return { date: undefined };
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return { error: `Invalid ${name} date format` };
+  }
+  return { date };
+};
+
+// Cursors encode the sort value and id of the last task on the previous page
+const encodeCursor = (task, sortField) => {
+  const value = task[sortField];
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : value,
+    d: value instanceof Date,
+    id: task._id.toString()
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!payload || !mongoose.Types.ObjectId.isValid(payload.id)) return null;
+    return {
+      value: payload.d && payload.v !== null ? new Date(payload.v) : payload.v,
+      id: new mongoose.Types.ObjectId(payload.id)
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Parse filtering, sorting and pagination parameters of a task listing
+const parseTaskListQuery = (query = {}) => {
+  const conditions = [];
+  
+  const statuses = toList(query.status);
+  if (statuses.length > 0) {
+    conditions.push({ status: { $in: statuses } });
+  }
+  
+  // Filter by workflow category (todo, doing, done) regardless of the exact status
+  const categories = toList(query.category);
+  if (categories.length > 0) {
+    conditions.push({ statusCategory: { $in: categories } });
+  }
+  
+  const priorities = toList(query.priority);
+  if (priorities.length > 0) {
+    conditions.push({ priority: { $in: priorities } });
+  }
+  
+  // Tasks must have any of the tags, or all of them with tagMode=all
+  const tags = toList(query.tags);
+  if (tags.length > 0) {
+    conditions.push({ tags: query.tagMode === 'all' ? { $all: tags } : { $in: tags } });
+  }
+  
+  for (const [param, field] of [['assigneeId', 'assigneeId'], ['createdBy', 'createdBy'], ['projectId', 'projectId']]) {
+    const ids = toList(query[param]);
+    if (ids.length > 0) {
+      if (!ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        return { error: `Invalid ${param} format` };
+      }
+      conditions.push({ [field]: { $in: ids.map(id => new mongoose.Types.ObjectId(id)) } });
+    }
+  }
+  
+  const ranges = [
+    ['targetDate', 'targetDateFrom', 'targetDateTo'],
+    ['lastUpdated', 'updatedFrom', 'updatedTo']
+  ];
+  for (const [field, fromParam, toParam] of ranges) {
+    const from = toDate(query[fromParam], fromParam);
+    const to = toDate(query[toParam], toParam);
+    if (from.error || to.error) {
+      return { error: from.error || to.error };
+    }
+    if (from.date || to.date) {
+      const range = {};
+      if (from.date) range.$gte = from.date;
+      if (to.date) range.$lte = to.date;
+      conditions.push({ [field]: range });
+    }
+  }
+  
+  // Filter by the assignee's response; acceptance=pending lists unacknowledged tasks
+  const acceptanceStates = toList(query.acceptance);
+  if (acceptanceStates.length > 0) {
+    if (!acceptanceStates.every(state => ACCEPTANCE_STATES.includes(state))) {
+      return { error: 'Invalid acceptance state. Must be one of: ' + ACCEPTANCE_STATES.join(', ') };
+    }
+    conditions.push({ 'acceptance.state': { $in: acceptanceStates } });
+  }
+  
+  if (query.overdue === 'true') {
+    conditions.push({ targetDate: { $lt: new Date() }, statusCategory: { $ne: 'done' } });
+  }
+  
+  const sortField = query.sortBy || 'lastUpdated';
+  if (!SORTABLE_FIELDS.includes(sortField)) {
+    return { error: 'Invalid sort field. Must be one of: ' + SORTABLE_FIELDS.join(', ') };
+  }
+  
+  const sortOrder = query.sortOrder || (DATE_SORT_FIELDS.includes(sortField) ? 'desc' : 'asc');
+  if (!['asc', 'desc'].includes(sortOrder)) {
+    return { error: 'Invalid sort order. Must be asc or desc' };
+  }
+  
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+  
+  const paginate = query.page !== undefined || query.limit !== undefined || query.cursor !== undefined;
+  const page = parseInt(query.page, 10) || 1;
+  const limit = Math.min(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  if (page < 1 || limit < 1) {
+    return { error: 'Page and limit must be positive numbers' };
+  }
+  
+  return {
+    listQuery: {
+      conditions,
+      sortField,
+      sortDirection: sortOrder === 'asc' ? 1 : -1,
+      cursor,
+      paginate,
+      page,
+      limit
+    }
+  };
+};
+
+// Find tasks within a role-based scope, applying the parsed listing parameters;
+// with the trashed option only tasks in the trash are returned
+const findTasks = async (scopeFilter, listQuery, { trashed = false } = {}) => {
+  const { conditions, sortField, sortDirection, cursor, paginate, page, limit } = listQuery;
+  const filter = { $and: [scopeFilter, ...conditions] };
+  if (trashed) {
+    filter.$and.push({ deletedAt: { $ne: null } });
+  }
+  const queryOptions = { includeTrashed: trashed };
+  const total = await Task.countDocuments(filter).setOptions(queryOptions);
+  
+  // Keyset condition for cursor pagination, with _id as the tie breaker
+  const pageFilter = { $and: [...filter.$and] };
+  if (cursor) {
+    const comparator = sortDirection === 1 ? '$gt' : '$lt';
+    pageFilter.$and.push({
+      $or: [
+        { [sortField]: { [comparator]: cursor.value } },
+        { [sortField]: cursor.value, _id: { [comparator]: cursor.id } }
+      ]
+    });
+  }
+  
+  let query = Task.find(pageFilter)
+    .setOptions(queryOptions)
+    .populate('assigneeId', 'name email')
+    .populate('createdBy', 'name email')
+    .sort({ [sortField]: sortDirection, _id: sortDirection });
+  
+  if (trashed) {
+    query = query.populate('deletedBy', 'name email');
+  }
+  
+  if (paginate) {
+    if (!cursor) {
+      query = query.skip((page - 1) * limit);
+    }
+    query = query.limit(limit + 1);
+  }
+  
+  let tasks = await query;
+  let hasMore = false;
+  if (paginate && tasks.length > limit) {
+    hasMore = true;
+    tasks = tasks.slice(0, limit);
+  }
+  
+  const pagination = paginate ? {
+    total,
+    limit,
+    page: cursor ? null : page,
+    totalPages: Math.ceil(total / limit),
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(tasks[tasks.length - 1], sortField) : null
+  } : null;
+  
+  return { tasks, total, pagination };
+};
+
+// Send a task listing: a plain array when not paginated (as before), otherwise tasks with pagination info
+const sendTaskList = (res, { tasks, total, pagination }) => {
+  res.set('X-Total-Count', String(total));
+  if (!pagination) {
+    return res.json(tasks);
+  }
+  res.json({ tasks, pagination });
+};
+
+module.exports = {
+  SORTABLE_FIELDS,
+  parseTaskListQuery,
+  findTasks,
+  sendTaskList
+};
@@ -0,0 +1,239 @@
+const User = require('../models/User');
+const WorkflowStatus = require('../models/WorkflowStatus');
+const { toIdString } = require('./taskAccess');
+const { getWorkflowStatus, getDefaultStatus } = require('./workflow');
+const { notifyUsers, notifyTaskChanges } = require('./watchers');
+
+// Workflow status tasks wait in while their completion is reviewed
+const REVIEW_STATUS_KEY = 'pending-review';
+
+// Create the review status on first start, just before the first "done" status; it is a
+// "doing" status so tasks waiting for review don't count as completed
+const ensureReviewStatus = async () => {
+  try {
+    const existingStatus = await WorkflowStatus.findOne({ key: REVIEW_STATUS_KEY });
+    if (existingStatus) return;
+    
+    const firstDoneStatus = await WorkflowStatus.findOne({ category: 'done' }).sort({ order: 1 });
+    await WorkflowStatus.create({
+      key: REVIEW_STATUS_KEY,
+      name: 'Pending Review',
+      category: 'doing',
+      order: firstDoneStatus ? firstDoneStatus.order - 0.5 : 100
+    });
+    console.log('✅ Pending review workflow status created');
+  } catch (error) {
+    console.error('❌ Error setting up review status:', error);
+  }
+};
+
+// Helper function to validate a task's requiresReview setting: true, false or null
+// (follow the team setting)
+const parseRequiresReview = (value) => {
+  if (value === null || value === '') {
+    return { requiresReview: null };
+  }
+  if (typeof value !== 'boolean') {
+    return { error: 'requiresReview must be true, false or null' };
+  }
+  return { requiresReview: value };
+};
+
+// Helper function to get the leaders whose team setting applies to a user: their
+// supervisor, their manager and their supervisor's manager
+const getTeamLeaderIds = async (user) => {
+  const leaderIds = [user.supervisorId, user.managerId];
+  if (user.supervisorId) {
+    const supervisor = await User.findById(user.supervisorId).select('managerId');
+    if (supervisor) leaderIds.push(supervisor.managerId);
+  }
+  return leaderIds.filter(Boolean);
+};
+
+// Helper function to check if a task must be reviewed before it counts as completed;
+// the task's own setting wins over the team setting of the assignee's leaders
+const isReviewRequired = async (task, assignee) => {
+  if (typeof task.requiresReview === 'boolean') {
+    return task.requiresReview;
+  }
+  if (!assignee) return false;
+  
+  const leaderIds = await getTeamLeaderIds(assignee);
+  if (leaderIds.length === 0) return false;
+  
+  const reviewingLeaders = await User.countDocuments({ _id: { $in: leaderIds }, requireTaskReview: true });
+  return reviewingLeaders > 0;
+};
+
+// Helper function to get who can review a task: its creator and the assignee's team
+// leaders (whose setting may require the review), never the assignee themselves
+const getReviewerIds = async (task, assignee) => {
+  const assigneeId = toIdString(task.assigneeId);
+  const leaderIds = assignee ? await getTeamLeaderIds(assignee) : [];
+  const reviewerIds = [task.createdBy, ...leaderIds]
+    .filter(Boolean)
+    .map(toIdString)
+    .filter(id => id !== assigneeId);
+  return [...new Set(reviewerIds)];
+};
+
+// Helper function to check if user can approve or send back a task (super admins always can,
+// unless it is their own task)
+const canReviewTask = async (currentUser, task, assignee) => {
+  const currentUserId = currentUser._id.toString();
+  if (toIdString(task.assigneeId) === currentUserId) {
+    return false;
+  }
+  return currentUser.role === 'super_admin' || (await getReviewerIds(task, assignee)).includes(currentUserId);
+};
+
+// Helper function to check if user can move a task out of a pending review: the assignee
+// can withdraw it, anyone else decides the review so must be able to review the task
+const canLeaveReview = async (currentUser, task, targetStatus) => {
+  const leavingReview = task.status === REVIEW_STATUS_KEY && targetStatus.key !== REVIEW_STATUS_KEY &&
+    task.review && task.review.state === 'pending';
+  if (!leavingReview || toIdString(task.assigneeId) === currentUser._id.toString()) {
+    return true;
+  }
+  
+  const assignee = await User.findById(toIdString(task.assigneeId));
+  return canReviewTask(currentUser, task, assignee);
+};
+
+// Helper function to check if user can create a task directly in a status: a task that
+// needs review can only start out completed when user could approve it themselves
+const canCreateInStatus = async (currentUser, task, status) => {
+  if (status.category !== 'done') {
+    return true;
+  }
+  
+  const assignee = await User.findById(toIdString(task.assigneeId));
+  if (!(await isReviewRequired(task, assignee))) {
+    return true;
+  }
+  return canReviewTask(currentUser, { ...task, createdBy: currentUser._id }, assignee);
+};
+
+// Work out what a status change means for the task's review: the assignee completing a
+// task that needs review sends it to the review status instead, and a task leaving the
+// review status records the outcome with an optional reason. Returns the status to move
+// to, the review fields to set (null when unchanged) and whether a new review was requested.
+const getReviewTransition = async (task, targetStatus, currentUser, { reason = null, now = new Date() } = {}) => {
+  const inReview = task.status === REVIEW_STATUS_KEY;
+  const isAssignee = toIdString(task.assigneeId) === currentUser._id.toString();
+  const review = task.review && task.review.state ? task.review : null;
+  
+  const requestReview = (reviewStatus, completeStatus) => ({
+    targetStatus: reviewStatus,
+    review: {
+      state: 'pending',
+      requestedBy: currentUser._id,
+      requestedAt: now,
+      completeStatus,
+      // Completing again while in review keeps the original status to go back to
+      returnStatus: inReview ? (review && review.returnStatus) || null : task.status,
+      reviewedBy: null,
+      reviewedAt: null,
+      reason: null
+    },
+    reviewRequested: !inReview
+  });
+  
+  // Moving a task to the review status by hand also asks for a review
+  if (targetStatus.key === REVIEW_STATUS_KEY && !inReview) {
+    return requestReview(targetStatus, null);
+  }
+  
+  if (targetStatus.category === 'done' && task.statusCategory !== 'done' && isAssignee) {
+    const assignee = await User.findById(toIdString(task.assigneeId));
+    if (await isReviewRequired(task, assignee)) {
+      const reviewStatus = await WorkflowStatus.findOne({ key: REVIEW_STATUS_KEY });
+      if (reviewStatus) {
+        return requestReview(reviewStatus, targetStatus.key);
+      }
+      console.error('Review status is missing; completing task without review:', task._id);
+    }
+  }
+  
+  if (inReview && targetStatus.key !== REVIEW_STATUS_KEY && review && review.state === 'pending') {
+    // The assignee moving the task on withdraws the request; anyone else decides it
+    let state = targetStatus.category === 'done' ? 'approved' : 'changes_requested';
+    if (isAssignee) {
+      state = 'withdrawn';
+    }
+    
+    return {
+      targetStatus,
+      review: {
+        state,
+        requestedBy: review.requestedBy,
+        requestedAt: review.requestedAt,
+        completeStatus: review.completeStatus,
+        returnStatus: review.returnStatus,
+        reviewedBy: state === 'withdrawn' ? null : currentUser._id,
+        reviewedAt: state === 'withdrawn' ? null : now,
+        reason: state === 'withdrawn' ? null : reason
+      },
+      reviewRequested: false
+    };
+  }
+  
+  return { targetStatus, review: null, reviewRequested: false };
+};
+
+// Get the status a reviewed task moves to: the done status the assignee asked for when
+// approved, or the status it was in before when sent back (the first done status and the
+// default status when those are unknown or no longer active)
+const getReviewOutcomeStatus = async (task, approved) => {
+  if (approved) {
+    return await getWorkflowStatus(task.review.completeStatus) ||
+      await WorkflowStatus.findOne({ category: 'done', active: true }).sort({ order: 1 });
+  }
+  return await getWorkflowStatus(task.review.returnStatus) || await getDefaultStatus();
+};
+
+// Notify about a status change that may have moved the task's review on: a decision goes to
+// the watchers and the assignee with its reason, and a new request also goes to the
+// reviewers who don't watch the task
+const notifyReviewChange = async (before, after, actor, reviewTransition) => {
+  const review = reviewTransition.review;
+  if (review && ['approved', 'changes_requested'].includes(review.state)) {
+    const approved = review.state === 'approved';
+    const lines = [approved ? 'The completion of this task was approved' : 'This task was sent back for more work'];
+    if (review.reason) lines.push(`Reason: ${review.reason}`);
+    
+    await notifyUsers(
+      [...(after.watchers || []), after.assigneeId],
+      after,
+      actor,
+      { summary: approved ? 'Review approved' : 'Changes requested', details: lines.join('\n') }
+    );
+    return;
+  }
+  
+  await notifyTaskChanges(before, after, actor);
+  
+  if (reviewTransition.reviewRequested) {
+    const assignee = await User.findById(toIdString(after.assigneeId)).select('supervisorId managerId');
+    await notifyUsers(
+      await getReviewerIds(after, assignee),
+      after,
+      actor,
+      { summary: 'Review requested', details: `${actor.name} completed this task and asked for your review` },
+      after.watchers || []
+    );
+  }
+};
+
+module.exports = {
+  REVIEW_STATUS_KEY,
+  ensureReviewStatus,
+  parseRequiresReview,
+  isReviewRequired,
+  canReviewTask,
+  canLeaveReview,
+  canCreateInStatus,
+  getReviewTransition,
+  getReviewOutcomeStatus,
+  notifyReviewChange
+};
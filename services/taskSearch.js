@@ -0,0 +1,72 @@
+// Fields that search snippets are built from, in display order
+const SEARCH_FIELDS = ['title', 'description', 'remarks', 'tags'];
+
+// Characters of context shown on either side of the first match
+const SNIPPET_CONTEXT = 60;
+
+// Escape text before embedding it in highlighted HTML
+const escapeHtml = (text = '') => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split a search query into words, dropping quotes and negated terms
+const getSearchTerms = (query) => {
+  return query
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'))
+    .map(term => term.replace(/["']/g, ''))
+    .filter(term => term.length > 0);
+};
+
+// Wrap matches of the terms in <mark> tags; the text is HTML-escaped first
+const highlight = (text, termPattern) => {
+  let result = '';
+  let lastIndex = 0;
+  text.replace(termPattern, (match, offset) => {
+    result += escapeHtml(text.slice(lastIndex, offset)) + '<mark>' + escapeHtml(match) + '</mark>';
+    lastIndex = offset + match.length;
+    return match;
+  });
+  return result + escapeHtml(text.slice(lastIndex));
+};
+
+// Build highlighted snippets for each field of a task that matches the query
+const buildSearchSnippets = (task, query) => {
+  const terms = getSearchTerms(query);
+  if (terms.length === 0) return [];
+  
+  // Match word prefixes so stemmed matches ("report" -> "reports") are highlighted too
+  const termPattern = new RegExp(`\\b(?:${terms.map(escapeRegExp).join('|')})\\w*`, 'gi');
+  const snippets = [];
+  
+  SEARCH_FIELDS.forEach(field => {
+    const value = Array.isArray(task[field]) ? task[field].join(', ') : task[field];
+    if (!value) return;
+    
+    termPattern.lastIndex = 0;
+    const match = termPattern.exec(value);
+    if (!match) return;
+    
+    const start = Math.max(0, match.index - SNIPPET_CONTEXT);
+    const end = Math.min(value.length, match.index + match[0].length + SNIPPET_CONTEXT);
+    termPattern.lastIndex = 0;
+    
+    snippets.push({
+      field,
+      snippet: (start > 0 ? '…' : '') + highlight(value.slice(start, end), termPattern) + (end < value.length ? '…' : '')
+    });
+  });
+  
+  return snippets;
+};
+
+module.exports = {
+  buildSearchSnippets
+};
@@ -0,0 +1,107 @@
+const User = require('../models/User');
+
+// Offsets written as text, e.g. "+3 working days" or "2 days"
+const DUE_OFFSET_PATTERN = /^\+?\s*(\d+)\s*(working\s+days?|days?)$/i;
+
+// Validate a due offset from a request body; a plain number means working days
+const parseDueOffset = (input) => {
+  if (typeof input === 'number') {
+    input = { value: input };
+  }
+  
+  if (typeof input === 'string') {
+    const match = input.trim().match(DUE_OFFSET_PATTERN);
+    if (!match) {
+      return { error: 'Invalid due offset. Use a form like "+3 working days" or "+2 days"' };
+    }
+    input = { value: parseInt(match[1], 10), unit: /working/i.test(match[2]) ? 'working_days' : 'days' };
+  }
+  
+  if (!input || typeof input !== 'object') {
+    return { error: 'Invalid due offset' };
+  }
+  
+  const value = Number(input.value || 0);
+  if (!Number.isInteger(value) || value < 0) {
+    return { error: 'Due offset must be a whole, non-negative number of days' };
+  }
+  
+  const unit = input.unit || 'working_days';
+  if (!['days', 'working_days'].includes(unit)) {
+    return { error: 'Due offset unit must be days or working_days' };
+  }
+  
+  return { dueOffset: { value, unit } };
+};
+
+// Compute a due date from a start date and an offset, skipping weekends for working days
+const computeDueDate = (startDate, dueOffset) => {
+  const dueDate = new Date(startDate);
+  const { value = 0, unit = 'working_days' } = dueOffset || {};
+  
+  if (unit === 'days') {
+    dueDate.setDate(dueDate.getDate() + value);
+    return dueDate;
+  }
+  
+  let remaining = value;
+  while (remaining > 0) {
+    dueDate.setDate(dueDate.getDate() + 1);
+    const day = dueDate.getDay();
+    if (day !== 0 && day !== 6) {
+      remaining--;
+    }
+  }
+  
+  return dueDate;
+};
+
+// Get the ids of the managers whose team templates a user can see
+const getUserManagerIds = async (currentUser) => {
+  if (currentUser.role === 'manager') {
+    return [currentUser._id];
+  }
+  
+  const managerIds = [];
+  if (currentUser.managerId) {
+    managerIds.push(currentUser.managerId);
+  }
+  
+  // Members under a supervisor belong to the supervisor's manager's team
+  if (currentUser.supervisorId) {
+    const supervisor = await User.findById(currentUser.supervisorId).select('managerId');
+    if (supervisor && supervisor.managerId) {
+      managerIds.push(supervisor.managerId);
+    }
+  }
+  
+  return managerIds;
+};
+
+// Get the template filter matching what a user can see
+const getTemplateScopeFilter = async (currentUser) => {
+  if (currentUser.role === 'super_admin') {
+    return {};
+  }
+  
+  const managerIds = await getUserManagerIds(currentUser);
+  return {
+    $or: [
+      { visibility: 'org' },
+      { visibility: 'team', teamManagerId: { $in: managerIds } }
+    ]
+  };
+};
+
+// Helper function to check if user can change or delete a template
+const canManageTemplate = (currentUser, template) => {
+  return currentUser.role === 'super_admin' ||
+    template.createdBy.toString() === currentUser._id.toString();
+};
+
+module.exports = {
+  parseDueOffset,
+  computeDueDate,
+  getTemplateScopeFilter,
+  canManageTemplate
+};
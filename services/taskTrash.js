@@ -0,0 +1,89 @@
+const Task = require('../models/Task');
+const Comment = require('../models/Comment');
+const TimeLog = require('../models/TimeLog');
+const { removeAttachmentFiles } = require('./attachmentStorage');
+const { minutesBetween } = require('./timeTracking');
+
+// How long trashed tasks are kept before they are permanently removed
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+// How often the purge job looks for expired tasks
+const TRASH_PURGE_INTERVAL_MINUTES = parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES, 10) || 60;
+
+// Move a task and its subtasks to the trash; subtasks share the task's deletedAt so they
+// can be restored together with it. Running timers on them are stopped, since a trashed
+// task can't be found to stop them and their owners couldn't start another one.
+const trashTask = async (task, currentUser) => {
+  const deletedAt = new Date();
+  const update = { $set: { deletedAt, deletedBy: currentUser._id }, $inc: { version: 1 } };
+  
+  const subtaskIds = await Task.find({ parentTaskId: task._id }).distinct('_id');
+  const taskIds = [task._id, ...subtaskIds];
+  await Task.updateMany({ _id: { $in: taskIds } }, update);
+  
+  const runningLogs = await TimeLog.find({ taskId: { $in: taskIds }, endedAt: null });
+  for (const log of runningLogs) {
+    log.endedAt = deletedAt;
+    log.minutes = minutesBetween(log.startedAt, deletedAt);
+    await log.save();
+  }
+  
+  return { deletedAt, subtaskIds };
+};
+
+// Take a task and the subtasks trashed together with it out of the trash
+const restoreTask = async (task) => {
+  const update = { $set: { deletedAt: null, deletedBy: null, lastUpdated: new Date() }, $inc: { version: 1 } };
+  
+  const restoredSubtasks = await Task.updateMany(
+    { parentTaskId: task._id, deletedAt: task.deletedAt },
+    update
+  );
+  await Task.updateOne({ _id: task._id }, update);
+  
+  return { subtasksRestored: restoredSubtasks.modifiedCount };
+};
+
+// Permanently remove tasks together with their comments, time logs, files and dependency links
+const purgeTasks = async (tasks) => {
+  const taskIds = tasks.map(task => task._id);
+  
+  removeAttachmentFiles(tasks.flatMap(task => task.attachments));
+  await Comment.deleteMany({ taskId: { $in: taskIds } });
+  await TimeLog.deleteMany({ taskId: { $in: taskIds } });
+  await Task.updateMany({ blockedBy: { $in: taskIds } }, { $pull: { blockedBy: { $in: taskIds } }, $inc: { version: 1 } });
+  await Task.deleteMany({ _id: { $in: taskIds } });
+  
+  // Task history is kept so deletions stay auditable
+  return taskIds.length;
+};
+
+// Purge every task that has been in the trash longer than the retention period
+const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const expiredTasks = await Task.find({ deletedAt: { $ne: null, $lte: cutoff } });
+  
+  if (expiredTasks.length > 0) {
+    const purged = await purgeTasks(expiredTasks);
+    console.log('Purged trashed tasks:', purged);
+  }
+};
+
+// Start the background job that empties the trash
+const startTrashPurgeScheduler = () => {
+  const run = () => purgeExpiredTrash().catch(error => {
+    console.error('Trash purge error:', error);
+  });
+  
+  run();
+  return setInterval(run, TRASH_PURGE_INTERVAL_MINUTES * 60 * 1000);
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  trashTask,
+  restoreTask,
+  purgeTasks,
+  purgeExpiredTrash,
+  startTrashPurgeScheduler
+};
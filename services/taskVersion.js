@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const Task = require('../models/Task');
+
+// Strong ETag for a task version
+const getTaskEtag = (task) => `"${task.version || 0}"`;
+
+// Set the ETag header for a task response
+const setTaskEtag = (res, task) => {
+  res.set('ETag', getTaskEtag(task));
+};
+
+// Set the ETag header for a response that embeds more than the task document (subtasks,
+// dependencies, time totals, SLA breach flags): a weak tag of the version and a hash of the
+// body, so it changes whenever anything in the response does and still works for If-Match
+const setTaskDetailEtag = (res, task, body) => {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url').slice(0, 16);
+  res.set('ETag', `W/"${task.version || 0}-${hash}"`);
+};
+
+// Read the version a client based its change on, from If-Match or a version body field
+const getExpectedVersion = (req) => {
+  const ifMatch = req.get('If-Match');
+  if (ifMatch) {
+    const tags = ifMatch.split(',').map(tag => tag.trim());
+    if (tags.includes('*')) {
+      return { expected: null };
+    }
+    
+    // Weak tags are accepted too, since versions are only ever compared as a whole; the
+    // hash part of a task detail tag is ignored
+    const versions = tags.map(tag => parseInt(tag.replace(/^W\//, '').replace(/"/g, '').split('-')[0], 10));
+    if (versions.some(version => isNaN(version))) {
+      return { error: 'Invalid If-Match header' };
+    }
+    return { expected: { versions, source: 'header' } };
+  }
+  
+  if (req.body && req.body.version !== undefined && req.body.version !== null) {
+    const version = parseInt(req.body.version, 10);
+    if (isNaN(version) || version < 0) {
+      return { error: 'Version must be a non-negative number' };
+    }
+    return { expected: { versions: [version], source: 'body' } };
+  }
+  
+  return { expected: null };
+};
+
+// Helper function to check if a task still has one of the expected versions
+const isCurrentVersion = (task, expected) => {
+  return !expected || expected.versions.includes(task.version || 0);
+};
+
+// Query condition matching the expected versions; tasks created before versioning have none
+const getVersionCondition = (expected) => {
+  if (!expected) return {};
+  const versions = expected.versions.includes(0) ? [...expected.versions, null] : expected.versions;
+  return { version: { $in: versions } };
+};
+
+// Respond with the current server copy of a task when the client's version is stale:
+// 412 for a failed If-Match precondition, 409 for a stale version body field
+const sendVersionConflict = async (res, taskId, expected) => {
+  const currentTask = await Task.findById(taskId)
+    .populate('assigneeId', 'name email')
+    .populate('createdBy', 'name email');
+  
+  if (!currentTask) {
+    return res.status(404).json({ message: 'Task not found' });
+  }
+  
+  setTaskEtag(res, currentTask);
+  res.status(expected.source === 'header' ? 412 : 409).json({
+    message: 'Task was changed by someone else; merge with the current version and try again',
+    currentVersion: currentTask.version || 0,
+    currentTask
+  });
+};
+
+module.exports = {
+  setTaskEtag,
+  setTaskDetailEtag,
+  getExpectedVersion,
+  isCurrentVersion,
+  getVersionCondition,
+  sendVersionConflict
+};
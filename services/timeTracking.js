@@ -0,0 +1,48 @@
+const TimeLog = require('../models/TimeLog');
+
+// Get estimated vs logged time for a task, including any running timers
+const getTimeTotals = async (task) => {
+  const [totals] = await TimeLog.aggregate([
+    { $match: { taskId: task._id, endedAt: { $ne: null } } },
+    { $group: { _id: null, loggedMinutes: { $sum: '$minutes' } } }
+  ]);
+  
+  const runningTimers = await TimeLog.find({ taskId: task._id, endedAt: null })
+    .populate('userId', 'name email')
+    .select('userId startedAt');
+  
+  const loggedMinutes = totals ? totals.loggedMinutes : 0;
+  const estimatedMinutes = task.estimatedMinutes ?? null;
+  
+  return {
+    estimatedMinutes,
+    loggedMinutes,
+    remainingMinutes: estimatedMinutes !== null ? Math.max(estimatedMinutes - loggedMinutes, 0) : null,
+    runningTimers
+  };
+};
+
+// Validate an estimate from a request body; null clears the estimate
+const parseEstimate = (value) => {
+  if (value === null || value === '') {
+    return { estimatedMinutes: null };
+  }
+  
+  const minutes = Number(value);
+  if (!Number.isFinite(minutes) || minutes < 0) {
+    return { error: 'Estimated minutes must be a non-negative number' };
+  }
+  
+  return { estimatedMinutes: Math.round(minutes) };
+};
+
+// Minutes between two dates, counting any started minute
+const minutesBetween = (start, end) => {
+  return Math.max(1, Math.ceil((end.getTime() - start.getTime()) / 60000));
+};
+
+module.exports = {
+  parseEstimate,
+  getTimeTotals,
+  minutesBetween
+};
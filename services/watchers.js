@@ -0,0 +1,86 @@
+const User = require('../models/User');
+const emailService = require('./emailService');
+const { toIdString } = require('./taskAccess');
+const { getWorkflowStatus } = require('./workflow');
+
+// Get the ids a new task starts out watched by: its creator and assignee
+const getInitialWatchers = (...userIds) => {
+  const ids = userIds.filter(Boolean).map(toIdString);
+  return [...new Set(ids)];
+};
+
+// Email users about a change to a task, leaving out the user who made it; failures
+// are logged so they never fail the request that triggered them
+const notifyUsers = async (userIds, task, actor, { summary, details }, excludeUserIds = []) => {
+  try {
+    const excluded = [actor._id, ...excludeUserIds].map(id => id.toString());
+    const recipientIds = [...new Set(userIds.filter(Boolean).map(toIdString))]
+      .filter(userId => !excluded.includes(userId));
+    if (recipientIds.length === 0) return;
+    
+    const recipients = await User.find({ _id: { $in: recipientIds }, status: 'active' }).select('name email');
+    const frontendUrl = process.env.FRONTEND_URL || 'https://taskberry-frontend.vercel.app';
+    
+    for (const recipient of recipients) {
+      try {
+        await emailService.sendTaskUpdateEmail({
+          to: recipient.email,
+          name: recipient.name,
+          actorName: actor.name,
+          taskTitle: task.title,
+          summary,
+          details,
+          taskUrl: `${frontendUrl}/tasks/${task._id}`
+        });
+      } catch (emailError) {
+        console.error('Failed to send watcher email:', emailError);
+      }
+    }
+  } catch (error) {
+    console.error('Error notifying users about task:', error);
+  }
+};
+
+// Email the watchers of a task about a change, leaving out the user who made it
+const notifyWatchers = async (task, actor, message, excludeUserIds = []) => {
+  await notifyUsers(task.watchers || [], task, actor, message, excludeUserIds);
+};
+
+// Notify watchers when an update changed a task's status or assignee
+const notifyTaskChanges = async (before, after, actor) => {
+  try {
+    const lines = [];
+    const statusChanged = before.status !== after.status;
+    const reassigned = toIdString(before.assigneeId) !== toIdString(after.assigneeId);
+    
+    if (statusChanged) {
+      const fromStatus = await getWorkflowStatus(before.status);
+      const toStatus = await getWorkflowStatus(after.status);
+      lines.push(`Status changed from ${fromStatus ? fromStatus.name : before.status} to ${toStatus ? toStatus.name : after.status}`);
+    }
+    
+    if (reassigned) {
+      const assignee = after.assigneeId && after.assigneeId.name
+        ? after.assigneeId
+        : await User.findById(after.assigneeId).select('name');
+      lines.push(`Reassigned to ${assignee ? assignee.name : 'another user'}`);
+    }
+    
+    if (lines.length === 0) return;
+    
+    let summary = 'Task updated';
+    if (!reassigned) summary = 'Status changed';
+    if (!statusChanged) summary = 'Task reassigned';
+    
+    await notifyWatchers(after, actor, { summary, details: lines.join('\n') });
+  } catch (error) {
+    console.error('Error notifying task watchers:', error);
+  }
+};
+
+module.exports = {
+  getInitialWatchers,
+  notifyUsers,
+  notifyWatchers,
+  notifyTaskChanges
+};
@@ -0,0 +1,89 @@
+const WorkflowStatus = require('../models/WorkflowStatus');
+const Task = require('../models/Task');
+
+// Statuses the workflow starts with, matching the original hard-coded values
+const DEFAULT_STATUSES = [
+  { key: 'not-started', name: 'Not Started', category: 'todo', order: 0, isDefault: true },
+  { key: 'in-progress', name: 'In Progress', category: 'doing', order: 1 },
+  { key: 'completed', name: 'Completed', category: 'done', order: 2 }
+];
+
+// Seed the default statuses on first start and backfill task status categories
+const ensureDefaultWorkflow = async () => {
+  try {
+    const existingCount = await WorkflowStatus.countDocuments();
+    if (existingCount === 0) {
+      await WorkflowStatus.insertMany(DEFAULT_STATUSES);
+      console.log('✅ Default workflow statuses created');
+    }
+    
+    // Tasks created before statuses were configurable have no category yet
+    const statuses = await WorkflowStatus.find();
+    for (const status of statuses) {
+      await Task.updateMany(
+        { status: status.key, statusCategory: { $exists: false } },
+        { $set: { statusCategory: status.category } }
+      );
+    }
+  } catch (error) {
+    console.error('❌ Error setting up workflow statuses:', error);
+  }
+};
+
+// Get the active statuses in display order
+const getWorkflowStatuses = async () => {
+  return await WorkflowStatus.find({ active: true }).sort({ order: 1, name: 1 });
+};
+
+// Get an active status by key
+const getWorkflowStatus = async (key) => {
+  if (!key) return null;
+  return await WorkflowStatus.findOne({ key, active: true });
+};
+
+// Get the status new tasks start in
+const getDefaultStatus = async () => {
+  const defaultStatus = await WorkflowStatus.findOne({ isDefault: true, active: true });
+  if (defaultStatus) return defaultStatus;
+  return await WorkflowStatus.findOne({ active: true, category: 'todo' }).sort({ order: 1 });
+};
+
+// Get the keys of active statuses in the given categories
+const getStatusKeysByCategory = async (categories) => {
+  return await WorkflowStatus.find({ active: true, category: { $in: categories } }).distinct('key');
+};
+
+// Check whether a role may move a task from one status to another
+const checkTransition = async (fromKey, toKey, role) => {
+  if (fromKey === toKey || role === 'super_admin') {
+    return { allowed: true };
+  }
+  
+  const fromStatus = await WorkflowStatus.findOne({ key: fromKey });
+  
+  // Statuses without transition rules (or no longer configured) allow any move
+  if (!fromStatus || fromStatus.transitions.length === 0) {
+    return { allowed: true };
+  }
+  
+  const transition = fromStatus.transitions.find(item => item.to === toKey);
+  if (!transition) {
+    return { allowed: false, message: `Cannot move a task from ${fromStatus.name} to ${toKey}` };
+  }
+  
+  if (transition.roles.length > 0 && !transition.roles.includes(role)) {
+    return { allowed: false, message: `Your role cannot move a task from ${fromStatus.name} to ${toKey}` };
+  }
+  
+  return { allowed: true };
+};
+
+module.exports = {
+  DEFAULT_STATUSES,
+  ensureDefaultWorkflow,
+  getWorkflowStatuses,
+  getWorkflowStatus,
+  getDefaultStatus,
+  getStatusKeysByCategory,
+  checkTransition
+};